@@ -0,0 +1,374 @@
+/**
+ * Admin console
+ * Drives admin.html for users with an admin role: per-game claim and stock stats, the game editor
+ * (tag, status and the other sheet columns), account entries (add, edit, retire, restore) and
+ * bulk import of a sheet export (CSV) or inventory JSON. Every change goes through the admin function.
+ * Texts come from the admin.* messages of i18n.js; tables and editor are drawn again on "i18n:change".
+ */
+
+const ADMIN_API_URL = window.METAL_DROPS_CONFIG.apiBase + '/admin';
+const ADMIN_GAME_FIELDS = ['tag', 'status', 'platform', 'region', 'notes'];
+// Chiavi di i18n.js; uno stato scritto a mano nel foglio si mostra com'è
+const ADMIN_STATUS_KEYS = { working: 'admin.status.working', 'out of stock': 'admin.status.outOfStock' };
+const ADMIN_ENTRY_KEYS = { active: 'admin.entry.active', retired: 'admin.entry.retired', claimed: 'admin.entry.claimed' };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Inventario completo (con gli account ritirati), statistiche e gioco aperto nell'editor
+const adminState = {
+    games: [],
+    stats: null,
+    selected: null
+};
+
+/**
+ * Call the admin function; resolves to the JSON body or throws with the server's error message.
+ */
+async function adminRequest(path, { method = 'GET', body = null } = {}) {
+    const options = { method };
+    if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await authFetch(ADMIN_API_URL + path, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || t('admin.requestFailed', { status: response.status }));
+    return data;
+}
+
+function gamePath(name) {
+    return '/games/' + encodeURIComponent(name);
+}
+
+// "2 accounts added, 1 already listed"
+function describeAddedAccounts({ added, skipped }) {
+    const parts = [t('admin.accountsAdded', { count: added })];
+    if (skipped) parts.push(t('admin.accountsSkipped', { count: skipped }));
+    return parts.join(', ');
+}
+
+/**
+ * Games from an import: a sheet export in CSV (like the published sheet) or inventory JSON.
+ * Returns [{ name, accounts, ...columns }].
+ */
+function parseAdminImport(text) {
+    const source = text.trim();
+    const inventory = /^[[{]/.test(source)
+        ? normalizeInventory(JSON.parse(source))
+        : buildInventory(parseCSVText(source));
+
+    inventory.errors.forEach(error => console.warn(`Import row ${error.line} skipped: ${error.message}`));
+    return Object.values(inventory.games);
+}
+
+// ============ STATS ============
+
+/**
+ * Small SVG line chart for a series of numbers (null values are skipped)
+ */
+function buildSparkline(values, label) {
+    const width = 120;
+    const height = 28;
+    const points = values
+        .map((value, index) => (value === null ? null : [index, value]))
+        .filter(Boolean);
+    const max = Math.max(1, ...points.map(([, value]) => value));
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'admin-sparkline');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', label);
+
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = label;
+    svg.appendChild(title);
+
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.setAttribute('points', points
+        .map(([index, value]) => `${(index * step).toFixed(1)},${(height - 2 - (value / max) * (height - 4)).toFixed(1)}`)
+        .join(' '));
+    svg.appendChild(line);
+    return svg;
+}
+
+function renderGamesTable(tbody, stats, onManage) {
+    tbody.innerHTML = '';
+
+    if (stats.games.length === 0) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 9;
+        cell.className = 'history-empty';
+        cell.textContent = t('admin.noGames');
+        return;
+    }
+
+    const period = `${stats.days[0]} – ${stats.days[stats.days.length - 1]}`;
+
+    stats.games.forEach(game => {
+        const row = tbody.insertRow();
+        if (game.stock === 0) row.className = 'history-rejected';
+
+        row.insertCell().textContent = game.name;
+        row.insertCell().textContent = game.tag || '-';
+        row.insertCell().textContent = ADMIN_STATUS_KEYS[game.status] ? t(ADMIN_STATUS_KEYS[game.status]) : game.status || '-';
+        const held = [
+            game.reserved && t('admin.held.reserved', { count: game.reserved }),
+            game.retired && t('admin.held.retired', { count: game.retired })
+        ].filter(Boolean);
+        row.insertCell().textContent = held.length > 0 ? `${game.stock} (${held.join(', ')})` : String(game.stock);
+        row.insertCell().textContent = String(game.claims);
+        row.insertCell().textContent = String(game.rejected);
+        row.insertCell().appendChild(buildSparkline(game.claimsPerDay,
+            t('admin.chart.claims', { game: game.name, period, values: game.claimsPerDay.join(', ') })));
+        row.insertCell().appendChild(buildSparkline(game.stockPerDay,
+            t('admin.chart.stock', { game: game.name, period, values: game.stockPerDay.map(value => value ?? '-').join(', ') })));
+
+        const manageBtn = buildElement('button', { className: 'account-data-refresh', text: t('admin.manage'), attrs: { type: 'button' } });
+        manageBtn.addEventListener('click', () => onManage(game.name));
+        row.insertCell().appendChild(manageBtn);
+    });
+}
+
+// ============ GAME EDITOR ============
+
+function renderAccountRows(tbody, game, { onSave, onToggle }) {
+    tbody.innerHTML = '';
+
+    if (game.accounts.length === 0) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 4;
+        cell.className = 'history-empty';
+        cell.textContent = t('admin.noAccounts');
+        return;
+    }
+
+    game.accounts.forEach((entry, index) => {
+        const row = tbody.insertRow();
+        if (entry.status !== 'active') row.className = 'admin-retired';
+
+        const textEl = buildElement('textarea', { attrs: { rows: '2', 'aria-label': t('admin.accountLabel', { n: index + 1 }) } });
+        textEl.dataset.entry = entry.id;
+        textEl.value = entry.text;
+        row.insertCell().appendChild(textEl);
+        const entryKey = entry.reservationId ? 'admin.entry.reserved' : ADMIN_ENTRY_KEYS[entry.status];
+        row.insertCell().textContent = entryKey ? t(entryKey) : entry.status;
+        row.insertCell().textContent = new Date(entry.addedAt).toLocaleDateString(getLocale());
+
+        const saveBtn = buildElement('button', { className: 'account-data-refresh', text: t('admin.save'), attrs: { type: 'button' } });
+        saveBtn.addEventListener('click', () => onSave(entry, textEl.value));
+        const toggleBtn = buildElement('button', {
+            className: 'account-data-refresh',
+            text: entry.status === 'retired' ? t('admin.restore') : t('admin.retire'),
+            attrs: { type: 'button' }
+        });
+        toggleBtn.addEventListener('click', () => onToggle(entry));
+
+        // Un account già consegnato non si modifica più
+        if (entry.status === 'claimed') {
+            textEl.readOnly = true;
+            row.insertCell();
+        } else {
+            row.insertCell().append(saveBtn, toggleBtn);
+        }
+    });
+}
+
+function initAdminPage() {
+    const gamesTable = document.getElementById('adminGamesTable');
+    if (!gamesTable) return;
+
+    const statusEl = document.querySelector('.admin-status');
+    const rangeForm = document.querySelector('.admin-stats-range');
+    const newGameForm = document.querySelector('.admin-new-game');
+    const editor = document.getElementById('adminGameEditor');
+    const editorTitle = document.getElementById('adminEditorTitle');
+    const gameForm = editor.querySelector('.admin-game-form');
+    const accountsBody = editor.querySelector('.admin-accounts').tBodies[0];
+    const addForm = editor.querySelector('.admin-add-accounts');
+    const importForm = document.querySelector('.admin-import');
+
+    // Ultimo messaggio di stato, per ridisegnarlo al cambio lingua
+    let statusMessage = null;
+    const showStatus = (key, params) => {
+        statusMessage = key ? { key, params } : null;
+        statusEl.textContent = key ? t(key, params) : '';
+    };
+
+    // Le opzioni del periodo hanno un plurale, quindi niente data-i18n
+    const translateRangeOptions = () => {
+        rangeForm.elements.days.querySelectorAll('option').forEach(option => {
+            option.textContent = t('admin.period.days', { count: Number(option.value) });
+        });
+    };
+
+    const openEditor = (name) => {
+        adminState.selected = name;
+        renderEditor();
+        editor.hidden = false;
+        editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    };
+
+    const renderEditor = () => {
+        const game = adminState.games.find(item => item.name === adminState.selected);
+        if (!game) {
+            editor.hidden = true;
+            adminState.selected = null;
+            return;
+        }
+
+        editorTitle.textContent = game.name;
+        ADMIN_GAME_FIELDS.forEach(field => {
+            const input = gameForm.elements[field];
+            // Uno stato scritto a mano nel foglio resta selezionabile
+            if (field === 'status' && game.status && !input.querySelector(`option[value="${CSS.escape(game.status)}"]`)) {
+                input.appendChild(buildElement('option', { text: game.status, attrs: { value: game.status } }));
+            }
+            input.value = game[field] || (field === 'status' ? 'working' : '');
+        });
+        renderAccountRows(accountsBody, game, { onSave: saveAccount, onToggle: toggleAccount });
+    };
+
+    const load = async () => {
+        showStatus('admin.loading');
+        try {
+            const [inventory, stats] = await Promise.all([
+                adminRequest('/inventory'),
+                adminRequest('/stats?days=' + rangeForm.elements.days.value)
+            ]);
+            adminState.games = inventory.games;
+            adminState.stats = stats;
+
+            renderGamesTable(gamesTable.tBodies[0], stats, openEditor);
+            if (adminState.selected) renderEditor();
+            showStatus(null);
+        } catch (error) {
+            console.error('Error loading the admin console:', error);
+            showStatus('admin.loadError', { error: error.message });
+        }
+    };
+
+    // Dopo ogni modifica: messaggio, dati nuovi e cache dell'inventario delle altre pagine aggiornata
+    const run = async (action, successMessage) => {
+        try {
+            const result = await action();
+            notify.success(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+            await load();
+            getInventoryProvider().refresh().catch(() => {});
+            return true;
+        } catch (error) {
+            console.error('Admin action failed:', error);
+            notify.error(error.message);
+            return false;
+        }
+    };
+
+    const saveAccount = (entry, text) => run(
+        () => adminRequest(`${gamePath(adminState.selected)}/accounts/${encodeURIComponent(entry.id)}`, { method: 'PATCH', body: { text } }),
+        t('admin.accountSaved')
+    );
+
+    const toggleAccount = (entry) => {
+        const status = entry.status === 'retired' ? 'active' : 'retired';
+        return run(
+            () => adminRequest(`${gamePath(adminState.selected)}/accounts/${encodeURIComponent(entry.id)}`, { method: 'PATCH', body: { status } }),
+            t(status === 'retired' ? 'admin.accountRetired' : 'admin.accountRestored')
+        );
+    };
+
+    rangeForm.addEventListener('change', load);
+    rangeForm.addEventListener('submit', (e) => e.preventDefault());
+    document.querySelector('[data-admin-action="reload"]').addEventListener('click', load);
+    document.querySelector('[data-admin-action="close-editor"]').addEventListener('click', () => {
+        adminState.selected = null;
+        editor.hidden = true;
+    });
+
+    newGameForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = newGameForm.elements.name.value.trim();
+        if (!name) return;
+
+        const created = await run(
+            () => adminRequest('/games', { method: 'POST', body: { name, status: 'working' } }),
+            t('admin.gameAdded', { name })
+        );
+        if (created) {
+            newGameForm.reset();
+            openEditor(name);
+        }
+    });
+
+    gameForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const body = {};
+        ADMIN_GAME_FIELDS.forEach(field => { body[field] = gameForm.elements[field].value; });
+        run(() => adminRequest(gamePath(adminState.selected), { method: 'PATCH', body }), t('admin.gameSaved'));
+    });
+
+    addForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const accounts = addForm.elements.accounts.value.split('\n').map(line => line.trim()).filter(Boolean);
+        if (accounts.length === 0) return;
+
+        const added = await run(
+            () => adminRequest(`${gamePath(adminState.selected)}/accounts`, { method: 'POST', body: { accounts } }),
+            describeAddedAccounts
+        );
+        if (added) addForm.reset();
+    });
+
+    // Un file scelto finisce nella textarea, così si può controllare prima di importare
+    importForm.elements.file.addEventListener('change', async () => {
+        const file = importForm.elements.file.files[0];
+        if (file) importForm.elements.data.value = await file.text();
+    });
+
+    importForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        let games;
+        try {
+            games = parseAdminImport(importForm.elements.data.value);
+        } catch (error) {
+            notify.error(t('admin.importError', { error: error.message }));
+            return;
+        }
+        if (games.length === 0) {
+            notify.warning(t('admin.importEmpty'));
+            return;
+        }
+
+        const imported = await run(
+            () => adminRequest('/import', { method: 'POST', body: { games } }),
+            result => t('admin.imported', {
+                details: [t('admin.gamesCreated', { count: result.created }), describeAddedAccounts(result)].join(', ')
+            })
+        );
+        if (imported) importForm.reset();
+    });
+
+    // Cambio lingua: stessi dati con i testi nuovi; gli account modificati e non salvati restano
+    window.addEventListener('i18n:change', () => {
+        translateRangeOptions();
+        if (statusMessage) showStatus(statusMessage.key, statusMessage.params);
+        if (adminState.stats) renderGamesTable(gamesTable.tBodies[0], adminState.stats, openEditor);
+
+        const game = adminState.games.find(item => item.name === adminState.selected);
+        if (!game) return;
+        const drafts = new Map([...accountsBody.querySelectorAll('textarea')].map(el => [el.dataset.entry, el.value]));
+        renderAccountRows(accountsBody, game, { onSave: saveAccount, onToggle: toggleAccount });
+        accountsBody.querySelectorAll('textarea').forEach(el => {
+            if (drafts.has(el.dataset.entry)) el.value = drafts.get(el.dataset.entry);
+        });
+    });
+
+    translateRangeOptions();
+    load();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAdminPage);
+} else {
+    initAdminPage();
+}
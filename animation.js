@@ -0,0 +1,190 @@
+/**
+ * Frame scheduler
+ * One requestAnimationFrame loop runs every effect (snow, confetti, black hole, mouse glow).
+ * The loop pauses while the tab is hidden, follows prefers-reduced-motion and lowers the quality
+ * when frames go over budget. Users can switch the effects off (saved in localStorage).
+ *
+ * Effects read scheduler.motion ('full' | 'reduced' | 'off') and scheduler.quality (0.25 - 1),
+ * and listen to the "animation:settings" window event when either changes.
+ */
+
+const EFFECTS_PREF_KEY = 'metalDrops.prefs.effects';
+const FRAME_BUDGET = 1000 / 45; // ms: sotto i ~45fps riduciamo la qualità
+const SLOW_FRAMES_LIMIT = 30; // frame lenti di fila prima di abbassare la qualità
+const MIN_QUALITY = 0.25;
+
+class FrameScheduler {
+    constructor() {
+        this.tasks = new Map();
+        this.frameId = null;
+        this.lastTime = null;
+        this.slowFrames = 0;
+        this.quality = 1;
+        this.enabled = localStorage.getItem(EFFECTS_PREF_KEY) !== 'off';
+        this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.reducedMotionQuery.addEventListener('change', () => this.notify());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause();
+            else this.resume();
+        });
+    }
+
+    get motion() {
+        if (!this.enabled) return 'off';
+        return this.reducedMotionQuery.matches ? 'reduced' : 'full';
+    }
+
+    /**
+     * Run callback(dt, time) on every frame until it returns false or remove(name) is called.
+     * Tasks marked essential (started by the user, like the black hole) keep running with effects off.
+     */
+    add(name, callback, { essential = false } = {}) {
+        this.tasks.set(name, { callback, essential });
+        this.resume();
+        return () => this.remove(name);
+    }
+
+    remove(name) {
+        this.tasks.delete(name);
+    }
+
+    has(name) {
+        return this.tasks.has(name);
+    }
+
+    // Con gli effetti spenti girano solo i task essenziali
+    hasRunnableTasks() {
+        return [...this.tasks.values()].some(task => this.enabled || task.essential);
+    }
+
+    resume() {
+        if (this.frameId || document.hidden || !this.hasRunnableTasks()) return;
+        // Dopo una pausa il primo frame non conta come lento
+        this.lastTime = null;
+        this.frameId = requestAnimationFrame(time => this.tick(time));
+    }
+
+    pause() {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    tick(time) {
+        const dt = this.lastTime === null ? 1000 / 60 : time - this.lastTime;
+        this.lastTime = time;
+
+        this.tasks.forEach((task, name) => {
+            if (!this.enabled && !task.essential) return;
+            try {
+                if (task.callback(dt, time) === false) this.tasks.delete(name);
+            } catch (error) {
+                console.error(`Animation "${name}" failed:`, error);
+                this.tasks.delete(name);
+            }
+        });
+
+        this.trackFrameTime(dt);
+
+        this.frameId = null;
+        if (!document.hidden && this.hasRunnableTasks()) {
+            this.frameId = requestAnimationFrame(next => this.tick(next));
+        }
+    }
+
+    trackFrameTime(dt) {
+        this.slowFrames = dt > FRAME_BUDGET ? this.slowFrames + 1 : 0;
+        if (this.slowFrames < SLOW_FRAMES_LIMIT || this.quality <= MIN_QUALITY) return;
+
+        this.slowFrames = 0;
+        this.quality = Math.max(MIN_QUALITY, this.quality - 0.25);
+        this.notify();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(EFFECTS_PREF_KEY, enabled ? 'on' : 'off');
+        this.notify();
+        this.resume();
+    }
+
+    notify() {
+        window.dispatchEvent(new CustomEvent('animation:settings', {
+            detail: { motion: this.motion, quality: this.quality }
+        }));
+    }
+}
+
+window.metalDrops = window.metalDrops || {};
+const animationScheduler = window.metalDrops.scheduler = new FrameScheduler();
+
+// ============ MOUSE GLOW ============
+// La posizione del mouse viene applicata una volta per frame
+
+function initMouseGlow() {
+    const mouseGlow = document.querySelector('.mouse-glow');
+    if (!mouseGlow) return;
+
+    let pointer = null;
+    document.addEventListener('mousemove', (e) => {
+        if (animationScheduler.motion !== 'full') return;
+        pointer = { x: e.clientX, y: e.clientY };
+        if (!animationScheduler.has('mouse-glow')) {
+            animationScheduler.add('mouse-glow', () => {
+                mouseGlow.style.left = (pointer.x - 150) + 'px';
+                mouseGlow.style.top = (pointer.y - 150) + 'px';
+                return false;
+            });
+        }
+    });
+
+    // display inline: il CSS mostra il glow con body:hover
+    const update = () => { mouseGlow.style.display = animationScheduler.motion === 'full' ? '' : 'none'; };
+    window.addEventListener('animation:settings', update);
+    update();
+}
+
+// ============ EFFECTS TOGGLE ============
+
+function initEffectsToggle() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'effects-toggle';
+
+    const update = () => {
+        btn.textContent = t(animationScheduler.enabled ? 'effects.on' : 'effects.off');
+        btn.setAttribute('aria-pressed', String(animationScheduler.enabled));
+    };
+    btn.addEventListener('click', () => animationScheduler.setEnabled(!animationScheduler.enabled));
+    window.addEventListener('animation:settings', update);
+    window.addEventListener('i18n:change', update);
+    update();
+
+    // Nella topbar se c'è, altrimenti in basso a sinistra
+    const navRight = document.querySelector('.topbar .nav-right');
+    if (navRight) {
+        navRight.insertBefore(btn, navRight.firstChild);
+    } else {
+        btn.classList.add('floating');
+        document.body.appendChild(btn);
+    }
+}
+
+function initAnimationControls() {
+    initMouseGlow();
+    initEffectsToggle();
+}
+
+// Un'altra scheda ha cambiato la preferenza
+window.addEventListener('storage', (e) => {
+    if (e.key !== EFFECTS_PREF_KEY) return;
+    animationScheduler.enabled = e.newValue !== 'off';
+    animationScheduler.notify();
+    animationScheduler.resume();
+});
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnimationControls);
+} else {
+    initAnimationControls();
+}
@@ -0,0 +1,206 @@
+/**
+ * Discord OAuth session
+ * Starts the login with a random state, validates it on the redirect and exchanges the code with
+ * the discord-auth function, then keeps the session token with its expiry in localStorage.
+ * Also guards private pages and renders the .discord-profile widget with a logout control.
+ * Links marked data-admin-only are shown only to admins (the server still checks every admin call).
+ */
+
+const SESSION_KEY = 'metalDrops.session';
+const OAUTH_STATE_KEY = 'metalDrops.oauthState';
+const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // se la funzione non indica una scadenza
+// Chiavi usate prima del modulo di sessione, cancellate al logout
+const LEGACY_AUTH_KEYS = ['discord_username', 'discord_avatar', 'discord_id', 'takenGames', 'extraAccounts', 'redeemedCode', 'remainingAccounts'];
+
+// true sulle pagine che hanno chiamato requireAuth()
+let authRequired = false;
+let sessionExpiryTimer = null;
+
+/**
+ * The current session ({ token, expiresAt, user: { id, username, avatar, isAdmin } }) or null if missing/expired
+ */
+function getSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+        if (!session || !session.user || Date.now() >= session.expiresAt) return null;
+        return session;
+    } catch (error) {
+        return null;
+    }
+}
+
+// URL di authorize con uno state casuale, salvato in sessionStorage per il controllo al ritorno
+function buildLoginUrl() {
+    const { oauth } = window.METAL_DROPS_CONFIG;
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const state = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    sessionStorage.setItem(OAUTH_STATE_KEY, state);
+
+    const params = new URLSearchParams({
+        client_id: oauth.clientId,
+        response_type: 'code',
+        redirect_uri: oauth.redirectUri,
+        scope: oauth.scope,
+        state
+    });
+    return `${oauth.authorizeUrl}?${params}`;
+}
+
+/**
+ * Handle the OAuth redirect on the landing page.
+ * Resolves to the session, or null if the state doesn't match or the exchange fails.
+ */
+async function handleOAuthRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('code') && !params.has('error')) return getSession();
+
+    const expectedState = sessionStorage.getItem(OAUTH_STATE_KEY);
+    sessionStorage.removeItem(OAUTH_STATE_KEY);
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    // Protezione CSRF: lo state deve essere quello generato da buildLoginUrl in questa scheda
+    if (!params.get('code') || !expectedState || params.get('state') !== expectedState) {
+        console.error('Discord login rejected: missing code or invalid OAuth state');
+        return getSession();
+    }
+
+    try {
+        const response = await fetch(window.METAL_DROPS_CONFIG.apiBase + '/discord-auth?code=' + encodeURIComponent(params.get('code')));
+        const data = await response.json();
+        if (!response.ok || !data.id || !data.username) throw new Error(data.error || 'Invalid discord-auth response');
+
+        const session = {
+            token: data.token || null,
+            expiresAt: data.expiresAt ? Date.parse(data.expiresAt) : Date.now() + SESSION_DURATION,
+            user: { id: data.id, username: data.username, avatar: data.avatar || null, isAdmin: data.isAdmin === true }
+        };
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        renderDiscordProfile();
+        return session;
+    } catch (error) {
+        console.error('Errore nel login Discord:', error);
+        return getSession();
+    }
+}
+
+// Cancella sessione, dati dell'utente e cache locali (le preferenze metalDrops.prefs.* restano)
+function clearSession() {
+    Object.keys(localStorage)
+        .filter(key => (key.startsWith('metalDrops.') && !key.startsWith('metalDrops.prefs.')) || LEGACY_AUTH_KEYS.includes(key))
+        .forEach(key => localStorage.removeItem(key));
+    sessionStorage.removeItem(OAUTH_STATE_KEY);
+}
+
+function logout() {
+    const session = getSession();
+    clearSession();
+
+    if (session && session.token) {
+        fetch(window.METAL_DROPS_CONFIG.apiBase + '/discord-auth/logout', {
+            method: 'POST',
+            headers: { Authorization: 'Bearer ' + session.token },
+            keepalive: true
+        }).catch(() => {});
+    }
+    window.location.replace('index.html');
+}
+
+/**
+ * Send visitors without a valid session back to index.html.
+ * With { admin: true } users without an admin role go to dashboard.html instead.
+ * Call it as early as possible on private pages.
+ */
+function requireAuth({ admin = false } = {}) {
+    authRequired = true;
+    const session = getSession();
+    if (!session) {
+        window.location.replace('index.html');
+        return false;
+    }
+    if (admin && !session.user.isAdmin) {
+        window.location.replace('dashboard.html');
+        return false;
+    }
+
+    // Alla scadenza della sessione si torna al login
+    clearTimeout(sessionExpiryTimer);
+    sessionExpiryTimer = setTimeout(() => {
+        clearSession();
+        window.location.replace('index.html');
+    }, Math.min(session.expiresAt - Date.now(), 2147483647));
+    return true;
+}
+
+/**
+ * fetch() with the session token. A 401 means the session is gone: the user is logged out.
+ */
+async function authFetch(url, options = {}) {
+    const session = getSession();
+    const headers = Object.assign({}, options.headers);
+    if (session && session.token) headers.Authorization = 'Bearer ' + session.token;
+
+    const response = await fetch(url, Object.assign({}, options, { headers }));
+    if (response.status === 401 && session) {
+        clearSession();
+        if (authRequired) window.location.replace('index.html');
+    }
+    return response;
+}
+
+function renderDiscordProfile() {
+    const session = getSession();
+    document.querySelectorAll('[data-admin-only]').forEach(el => {
+        el.hidden = !(session && session.user.isAdmin);
+    });
+
+    const profileEl = document.querySelector('.discord-profile');
+    if (!profileEl) return;
+
+    const avatarEl = profileEl.querySelector('.avatar');
+    const usernameEl = profileEl.querySelector('.username');
+
+    if (avatarEl) {
+        avatarEl.style.backgroundImage = session && session.user.avatar ? `url('${session.user.avatar}')` : '';
+        avatarEl.style.backgroundSize = 'cover';
+        avatarEl.style.backgroundPosition = 'center';
+    }
+    if (usernameEl) usernameEl.textContent = session ? session.user.username : '';
+
+    let logoutBtn = profileEl.querySelector('.discord-logout');
+    if (!logoutBtn) {
+        logoutBtn = document.createElement('button');
+        logoutBtn.type = 'button';
+        logoutBtn.className = 'discord-logout';
+        logoutBtn.addEventListener('click', logout);
+        profileEl.appendChild(logoutBtn);
+    }
+    logoutBtn.textContent = t('profile.logout');
+    logoutBtn.hidden = !session;
+}
+
+function initAuth() {
+    // I link con data-discord-login partono con uno state nuovo
+    document.querySelectorAll('[data-discord-login]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            window.location.href = buildLoginUrl();
+        });
+    });
+
+    renderDiscordProfile();
+}
+
+// Login o logout in un'altra scheda
+window.addEventListener('storage', (e) => {
+    if (e.key !== SESSION_KEY && e.key !== null) return;
+    renderDiscordProfile();
+    if (authRequired && !getSession()) window.location.replace('index.html');
+});
+
+window.addEventListener('i18n:change', renderDiscordProfile);
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAuth);
+} else {
+    initAuth();
+}
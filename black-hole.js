@@ -1,157 +1,474 @@
 /**
  * Black Hole Mode - Ultra Realistic Implementation
  * Allows elements to be sucked into a black hole, then float freely with zero gravity
+ * Floating elements can be dragged and thrown (mouse, touch, pen) and bounce off each other and the viewport edges
+ * The snow is pulled into the hole through an attractor on the particle engine (see particles.js)
+ * Both phases run on the shared frame scheduler (see animation.js); with reduced motion the suck is instant
+ * and nothing drifts on its own
+ *
+ * One instance per page: window.metalDrops.blackHole, with activate(), deactivate() and toggle().
+ * Options come from METAL_DROPS_CONFIG.blackHole (see BLACK_HOLE_DEFAULTS).
+ * Window events: "blackhole:activate" (suck starts), "blackhole:collapse" (everything swallowed,
+ * floating starts) and "blackhole:restore" (page back to normal).
+ * Leaving the mode plays a "white hole": every element flies from where it is back to its place in the
+ * current layout and gets its exact original inline style back.
+ *
+ * Rendering: elements are measured once when the mode starts and stay in the layout (scroll is locked);
+ * every frame only writes transform/opacity. The hole itself is drawn on a canvas (accretion disk,
+ * photon ring) and lenses the snow through the particle engine attractor.
  */
 
+const BLACK_HOLE_BASE_RADIUS = 100;
+
+const BLACK_HOLE_DEFAULTS = {
+    // Durata del risucchio in ms (0 con reduced motion)
+    duration: 3500,
+    // Durata del ritorno al proprio posto in ms (0 con reduced motion)
+    restoreDuration: 900,
+    // Raggio massimo raggiunto dal buco nero in px
+    maxRadius: 400,
+    // Elementi risucchiati
+    selectors: [
+        '.btn', '.get-btn', '.btn-text',
+        '.card', '.card-title', '.tag',
+        '.badge', '.title', '.subtitle', '.description',
+        '.dash-title', '.buttons',
+        'h1', 'p', '.nav-item', 'a'
+    ],
+    // Elementi (e discendenti) che restano al loro posto
+    exclude: ['.power-by-exotic', '.black-hole-container'],
+    // Scorciatoia da tastiera, es. "Alt+Shift+B"; null per disattivarla
+    shortcut: 'Alt+Shift+B'
+};
+
 class BlackHoleMode {
-    constructor() {
+    constructor(options = {}) {
+        this.options = Object.assign({}, BLACK_HOLE_DEFAULTS, options);
         this.isActive = false;
+        this.isRestoring = false;
         this.affectedElements = [];
-        this.elementStates = new Map(); // Store original positions
+        this.elementStates = new Map(); // Store original inline styles
+        this.scrollPosition = { x: 0, y: 0 };
+        this.powerBtnStyle = null;
+        this.addedObserver = null;
         this.blackHoleCenter = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+        this.bodies = [];
         this.floatingElements = [];
-        this.animationFrameId = null;
-        this.draggedElement = null;
-        this.dragOffset = { x: 0, y: 0 };
-        this.snowFlakes = null;
-        this.originalSnowStepFn = null;
+        this.snowAttractor = null;
+        this.scrollLock = null;
+        this.holeRadius = BLACK_HOLE_BASE_RADIUS;
+        this.holeShrink = null;
+        this.canvas = null;
         
         this.init();
     }
 
     init() {
         const powerBtn = document.querySelector('.power-by-exotic');
-        if (!powerBtn) return;
+        if (powerBtn) {
+            powerBtn.addEventListener('click', () => this.toggle());
+            this.updatePowerButtonLabel();
+            window.addEventListener('i18n:change', () => this.updatePowerButtonLabel());
+        }
+
+        // Il buco nero è disegnato su canvas: il div .black-hole resta solo come fallback
+        const container = document.querySelector('.black-hole-container');
+        if (container) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'black-hole-canvas';
+            container.appendChild(this.canvas);
+            container.classList.add('canvas-rendered');
+        }
+
+        if (this.options.shortcut) {
+            const shortcut = BlackHoleMode.parseShortcut(this.options.shortcut);
+            document.addEventListener('keydown', (e) => {
+                // Non mentre si scrive in un campo
+                if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+                if (BlackHoleMode.matchesShortcut(e, shortcut)) {
+                    e.preventDefault();
+                    this.toggle();
+                }
+            });
+        }
 
-        powerBtn.addEventListener('click', () => this.toggleBlackHole());
         window.addEventListener('resize', () => {
             this.blackHoleCenter = {
                 x: window.innerWidth / 2,
                 y: window.innerHeight / 2
             };
+            if (this.snowAttractor) {
+                this.snowAttractor.x = this.blackHoleCenter.x;
+                this.snowAttractor.y = this.blackHoleCenter.y;
+            }
+            this.remeasureFloating();
         });
     }
 
-    toggleBlackHole() {
+    // Tooltip del bottone con la scorciatoia, nella lingua scelta
+    updatePowerButtonLabel() {
+        const powerBtn = document.querySelector('.power-by-exotic');
+        if (!powerBtn) return;
+        powerBtn.title = this.options.shortcut
+            ? t('blackHole.title', { shortcut: this.options.shortcut })
+            : t('blackHole.titleNoShortcut');
+    }
+
+    // Dopo un resize il layout sotto è cambiato: ricalcola le posizioni di casa dal transform attuale
+    remeasureFloating() {
+        const rects = this.floatingElements.map(floatData => floatData.element.getBoundingClientRect());
+        this.floatingElements.forEach((floatData, index) => {
+            const rect = rects[index];
+            floatData.homeX = rect.left + rect.width / 2 - (floatData.x - floatData.homeX);
+            floatData.homeY = rect.top + rect.height / 2 - (floatData.y - floatData.homeY);
+        });
+    }
+
+    // "Alt+Shift+B" -> { alt: true, shift: true, ctrl: false, meta: false, key: 'b' }
+    static parseShortcut(shortcut) {
+        const parts = shortcut.toLowerCase().split('+').map(part => part.trim());
+        return {
+            alt: parts.includes('alt'),
+            shift: parts.includes('shift'),
+            ctrl: parts.includes('ctrl') || parts.includes('control'),
+            meta: parts.includes('meta') || parts.includes('cmd'),
+            key: parts[parts.length - 1]
+        };
+    }
+
+    static matchesShortcut(e, shortcut) {
+        // e.code: con Alt su macOS e.key diventa un altro carattere
+        const key = e.code && e.code.startsWith('Key') ? e.code.slice(3).toLowerCase() : (e.key || '').toLowerCase();
+        return key === shortcut.key
+            && e.altKey === shortcut.alt
+            && e.shiftKey === shortcut.shift
+            && e.ctrlKey === shortcut.ctrl
+            && e.metaKey === shortcut.meta;
+    }
+
+    emit(name) {
+        window.dispatchEvent(new CustomEvent('blackhole:' + name, { detail: { blackHole: this } }));
+    }
+
+    toggle() {
         if (!this.isActive) {
-            this.activateBlackHole();
+            this.activate();
         } else {
-            this.deactivateBlackHole();
+            this.deactivate();
         }
     }
 
-    activateBlackHole() {
-        this.isActive = true;
+    activate() {
         const container = document.querySelector('.black-hole-container');
+        if (this.isActive || this.isRestoring || !container) return;
+
+        this.isActive = true;
         container.classList.add('active');
+        this.scrollPosition = { x: window.scrollX, y: window.scrollY };
+        this.lockScroll();
 
         // Collect all draggable elements and save their original state
         this.affectedElements = this.getAffectedElements();
         
-        // Save original positions and styles
+        // Save the exact inline style attribute (null if the element had none)
         this.affectedElements.forEach(elem => {
             if (!this.elementStates.has(elem)) {
-                const rect = elem.getBoundingClientRect();
-                const computedStyle = window.getComputedStyle(elem);
-                this.elementStates.set(elem, {
-                    position: elem.style.position || computedStyle.position,
-                    left: elem.style.left,
-                    top: elem.style.top,
-                    transform: elem.style.transform,
-                    zIndex: elem.style.zIndex || computedStyle.zIndex,
-                    cursor: elem.style.cursor
-                });
+                this.elementStates.set(elem, { style: elem.getAttribute('style') });
             }
         });
+
+        this.bodies = this.measureElements();
+        this.watchAddedElements();
         
-        // Intercept snow canvas if available
-        const canvas = document.getElementById('snow-canvas');
-        if (canvas) {
-            canvas.classList.add('black-hole-active');
+        // La neve viene risucchiata nel buco nero
+        const particles = window.metalDrops && window.metalDrops.particles;
+        if (particles && !this.snowAttractor) {
+            this.snowAttractor = particles.addAttractor({
+                x: this.blackHoleCenter.x,
+                y: this.blackHoleCenter.y,
+                absorbRadius: 50
+            });
         }
         
         // Start sucking elements in
+        this.holeShrink = null;
+        this.startRendering();
         this.startSuckingAnimation();
         
         // Show power button as always clickable
         const powerBtn = document.querySelector('.power-by-exotic');
-        powerBtn.style.zIndex = '210';
-        powerBtn.style.position = 'fixed';
+        if (powerBtn) {
+            this.powerBtnStyle = powerBtn.getAttribute('style');
+            powerBtn.style.zIndex = '210';
+            powerBtn.style.position = 'fixed';
+        }
+
+        this.emit('activate');
     }
 
-    deactivateBlackHole() {
+    deactivate() {
+        if (!this.isActive) return;
+
         this.isActive = false;
-        const container = document.querySelector('.black-hole-container');
-        container.classList.remove('active');
+        this.isRestoring = true;
 
         // Stop animation
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+        animationScheduler.remove('black-hole:suck');
+        animationScheduler.remove('black-hole:float');
+        if (this.addedObserver) {
+            this.addedObserver.disconnect();
+            this.addedObserver = null;
         }
 
-        // Reset black hole size
-        const blackHole = document.querySelector('.black-hole');
-        if (blackHole) {
-            blackHole.style.width = '200px';
-            blackHole.style.height = '200px';
-            blackHole.style.marginLeft = '-100px';
-            blackHole.style.marginTop = '-100px';
+        // Remove drag listeners
+        this.floatingElements.forEach(floatData => {
+            if (!floatData.handlers) return;
+            Object.entries(floatData.handlers).forEach(([type, handler]) => floatData.element.removeEventListener(type, handler));
+        });
+
+        // Snowflakes that fell in come back from the top
+        if (this.snowAttractor) {
+            window.metalDrops.particles.removeAttractor(this.snowAttractor);
+            this.snowAttractor = null;
         }
 
-        // Restore all elements to their original state
-        this.elementStates.forEach((state, elem) => {
-            if (elem && elem.parentElement) {
-                elem.classList.remove('floating-item', 'black-hole-active');
-                
-                // Remove all inline styles to restore original state
-                elem.style.position = '';
-                elem.style.left = '';
-                elem.style.top = '';
-                elem.style.transform = '';
-                elem.style.zIndex = '';
-                elem.style.cursor = '';
-                elem.style.opacity = '';
-                elem.style.pointerEvents = '';
-                
-                // Force reflow to apply changes
-                void elem.offsetHeight;
-            }
+        // Le posizioni di partenza vanno lette prima di toccare scroll e stili
+        const duration = animationScheduler.motion === 'full' ? this.options.restoreDuration : 0;
+        const elements = [...this.elementStates.keys()].filter(elem => elem.isConnected);
+        const from = new Map(elements.map(elem => [elem, {
+            rect: elem.getBoundingClientRect(),
+            opacity: window.getComputedStyle(elem).opacity
+        }]));
+
+        // Original inline styles back: elements return to their place in the current layout
+        elements.forEach(elem => {
+            elem.classList.remove('floating-item', 'black-hole-active');
+            this.restoreInlineStyle(elem);
+        });
+        this.unlockScroll();
+        window.scrollTo(this.scrollPosition.x, this.scrollPosition.y);
+
+        // Il buco nero si richiude mentre gli elementi tornano
+        this.holeShrink = { start: performance.now(), from: this.holeRadius, duration };
+
+        const animations = duration ? this.animateRestore(elements, from, duration) : [];
+        document.querySelectorAll('.black-hole-pending').forEach(elem => {
+            elem.classList.remove('black-hole-pending');
+            if (duration) animations.push(elem.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing: 'ease-out' }));
         });
 
-        // Restore canvas visibility
-        const canvas = document.getElementById('snow-canvas');
-        if (canvas) {
-            canvas.classList.remove('black-hole-active');
-            canvas.style.display = '';
+        Promise.all(animations.map(animation => animation.finished.catch(() => {})))
+            .then(() => this.finishRestore());
+    }
+
+    restoreInlineStyle(elem) {
+        const state = this.elementStates.get(elem);
+        if (!state) return;
+        if (state.style === null) elem.removeAttribute('style');
+        else elem.setAttribute('style', state.style);
+    }
+
+    // White hole: ogni elemento parte da dov'era e torna al suo posto (FLIP con la Web Animations API,
+    // così gli stili inline restano quelli originali)
+    animateRestore(elements, from, duration) {
+        const animations = [];
+        const roots = elements.filter(elem => !elements.some(other => other !== elem && other.contains(elem)));
+        const targets = roots.map(elem => ({ elem, rect: elem.getBoundingClientRect(), style: window.getComputedStyle(elem) }));
+
+        targets.forEach(({ elem, rect, style }, index) => {
+            const start = from.get(elem);
+            const dx = (start.rect.left + start.rect.width / 2) - (rect.left + rect.width / 2);
+            const dy = (start.rect.top + start.rect.height / 2) - (rect.top + rect.height / 2);
+            const transform = style.transform === 'none' ? '' : style.transform;
+
+            animations.push(elem.animate([
+                { transform: `translate(${dx}px, ${dy}px) ${transform}`, opacity: start.opacity },
+                { transform: transform || 'none', opacity: style.opacity }
+            ], {
+                duration,
+                delay: Math.min(index * 15, duration / 2),
+                easing: 'cubic-bezier(0.22, 1, 0.36, 1)',
+                fill: 'backwards'
+            }));
+        });
+
+        const container = document.querySelector('.black-hole-container');
+        if (container) {
+            container.style.pointerEvents = 'none';
+            animations.push(container.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing: 'ease-in' }));
+        }
+        return animations;
+    }
+
+    finishRestore() {
+        const container = document.querySelector('.black-hole-container');
+        if (container) {
+            container.classList.remove('active');
+            container.style.pointerEvents = '';
+        }
+        animationScheduler.remove('black-hole:render');
+        if (this.canvas) this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.holeShrink = null;
+        this.resetBlackHoleSize();
+
+        const powerBtn = document.querySelector('.power-by-exotic');
+        if (powerBtn) {
+            if (this.powerBtnStyle === null) powerBtn.removeAttribute('style');
+            else powerBtn.setAttribute('style', this.powerBtnStyle);
         }
 
+        this.bodies = [];
         this.floatingElements = [];
         this.affectedElements = [];
         this.elementStates.clear();
+        this.isRestoring = false;
 
         // Reset topbar
         const topbar = document.querySelector('.topbar');
         if (topbar) {
             topbar.classList.remove('black-hole-active');
         }
+
+        this.emit('restore');
+    }
+
+    // ============ CANVAS RENDERING ============
+
+    startRendering() {
+        if (!this.canvas) return;
+        animationScheduler.add('black-hole:render', (dt, time) => this.renderHole(time), { essential: true });
+    }
+
+    renderHole(time) {
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+            canvas.width = Math.round(width * dpr);
+            canvas.height = Math.round(height * dpr);
+        }
+
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        let radius = this.holeRadius;
+        if (this.holeShrink) {
+            const { start, from, duration } = this.holeShrink;
+            const progress = duration ? Math.min(1, (performance.now() - start) / duration) : 1;
+            radius = from * (1 - progress) * (1 - progress);
+        }
+
+        // Raggio dell'orizzonte: quello che una volta era il nucleo nero del div .black-hole
+        const horizon = radius * 0.5;
+        if (this.snowAttractor) this.snowAttractor.lensRadius = horizon * 1.5;
+        if (horizon < 0.5) return;
+
+        const { x, y } = this.blackHoleCenter;
+        const spin = time / 1000;
+
+        // Glow
+        const glow = ctx.createRadialGradient(x, y, horizon, x, y, radius * 2.2);
+        glow.addColorStop(0, 'rgba(255, 170, 60, 0.35)');
+        glow.addColorStop(0.4, 'rgba(255, 90, 20, 0.12)');
+        glow.addColorStop(1, 'rgba(255, 60, 0, 0)');
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 2.2, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.drawAccretionDisk(ctx, x, y, horizon, radius, spin, 'back');
+
+        // Il lato lontano del disco, piegato dalla gravità sopra l'orizzonte
+        ctx.save();
+        ctx.lineWidth = horizon * 0.25;
+        ctx.strokeStyle = 'rgba(255, 190, 110, 0.35)';
+        ctx.beginPath();
+        ctx.arc(x, y, horizon * 1.35, Math.PI * 1.05, Math.PI * 1.95);
+        ctx.stroke();
+        ctx.restore();
+
+        // Event horizon
+        ctx.fillStyle = '#000';
+        ctx.beginPath();
+        ctx.arc(x, y, horizon, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Photon ring
+        ctx.lineWidth = Math.max(1, horizon * 0.04);
+        ctx.strokeStyle = 'rgba(255, 235, 190, 0.9)';
+        ctx.beginPath();
+        ctx.arc(x, y, horizon * 1.04, 0, Math.PI * 2);
+        ctx.stroke();
+
+        this.drawAccretionDisk(ctx, x, y, horizon, radius, spin, 'front');
+    }
+
+    // Disco inclinato: la metà dietro va disegnata prima dell'orizzonte, quella davanti dopo
+    drawAccretionDisk(ctx, x, y, horizon, radius, spin, half) {
+        const segments = 48;
+        const inner = horizon * 1.3;
+        const outer = radius * 1.9;
+        const mid = (inner + outer) / 2;
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.scale(1, 0.3);
+        ctx.lineWidth = outer - inner;
+
+        for (let i = 0; i < segments; i++) {
+            const start = (i / segments) * Math.PI * 2;
+            const end = start + (Math.PI * 2) / segments + 0.01;
+            const middle = (start + end) / 2;
+            // Dopo scale(1, 0.3) y positiva = verso chi guarda
+            if ((Math.sin(middle) >= 0) !== (half === 'front')) continue;
+
+            // Il gas gira: le zone calde scorrono lungo il disco, il lato che si avvicina è più luminoso
+            const heat = 0.6 + 0.4 * Math.sin(middle * 3 - spin * 2);
+            const beaming = 1 + 0.5 * Math.cos(middle);
+            const lightness = Math.min(85, 40 + 25 * heat * beaming);
+            ctx.strokeStyle = `hsla(${25 + 15 * heat}, 100%, ${lightness}%, ${0.35 + 0.3 * heat})`;
+            ctx.beginPath();
+            ctx.arc(0, 0, mid, start, end);
+            ctx.stroke();
+        }
+
+        // Bordo interno più caldo
+        ctx.lineWidth = Math.max(1, horizon * 0.08);
+        ctx.strokeStyle = 'rgba(255, 240, 210, 0.6)';
+        ctx.beginPath();
+        ctx.arc(0, 0, inner, half === 'front' ? 0 : Math.PI, half === 'front' ? Math.PI : Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Elementi aggiunti mentre il buco nero è attivo (es. card ridisegnate): restano nascosti fino al ritorno
+    watchAddedElements() {
+        const selector = this.options.selectors.join(', ');
+        const exclude = this.options.exclude.join(', ');
+
+        this.addedObserver = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE || this.elementStates.has(node)) return;
+                    if (exclude && node.closest(exclude)) return;
+                    if (node.matches(selector) || node.querySelector(selector)) {
+                        node.classList.add('black-hole-pending');
+                    }
+                });
+            });
+        });
+        this.addedObserver.observe(document.body, { childList: true, subtree: true });
     }
 
     getAffectedElements() {
         const elements = [];
-        
-        // Get all interactive elements
-        const selectors = [
-            '.btn', '.get-btn', '.btn-text', 
-            '.card', '.card-title', '.tag',
-            '.badge', '.title', '.subtitle', '.description',
-            '.dash-title', '.buttons',
-            'h1', 'p', '.nav-item',
-            'a:not(.power-by-exotic)'
-        ];
-
-        selectors.forEach(selector => {
+        const exclude = this.options.exclude.join(', ');
+
+        this.options.selectors.forEach(selector => {
             document.querySelectorAll(selector).forEach(el => {
-                if (el && !el.classList.contains('power-by-exotic') && el.offsetParent !== null) {
+                if (el.offsetParent !== null && !(exclude && el.closest(exclude))) {
                     elements.push(el);
                 }
             });
@@ -163,57 +480,38 @@ class BlackHoleMode {
 
     startSuckingAnimation() {
         const startTime = Date.now();
-        const suckDuration = 3500; // 3.5 seconds
+        const suckDuration = animationScheduler.motion === 'full' ? this.options.duration : 0;
         
         const animate = () => {
             const elapsed = Date.now() - startTime;
-            const progress = Math.min(1, elapsed / suckDuration);
+            const progress = suckDuration ? Math.min(1, elapsed / suckDuration) : 1;
             
             // Grow the black hole
-            const holeRadius = 100 + (progress * 300); // From 100px to 400px
-            const blackHole = document.querySelector('.black-hole');
-            if (blackHole) {
-                blackHole.style.width = (holeRadius * 2) + 'px';
-                blackHole.style.height = (holeRadius * 2) + 'px';
-                blackHole.style.marginLeft = (-holeRadius) + 'px';
-                blackHole.style.marginTop = (-holeRadius) + 'px';
-            }
-            
-            this.affectedElements.forEach((elem, index) => {
-                if (!elem.offsetParent || !this.elementStates.has(elem)) return;
+            this.holeRadius = BLACK_HOLE_BASE_RADIUS + (progress * (this.options.maxRadius - BLACK_HOLE_BASE_RADIUS));
+            if (this.snowAttractor) this.snowAttractor.absorbRadius = this.holeRadius / 2;
 
-                const rect = elem.getBoundingClientRect();
-                const elemCenter = {
-                    x: rect.left + rect.width / 2,
-                    y: rect.top + rect.height / 2
-                };
+            // Niente letture dal DOM qui: le posizioni sono quelle misurate all'attivazione
+            this.bodies.forEach(body => {
+                if (body.swallowed) return;
 
-                const dx = this.blackHoleCenter.x - elemCenter.x;
-                const dy = this.blackHoleCenter.y - elemCenter.y;
+                const dx = this.blackHoleCenter.x - body.x;
+                const dy = this.blackHoleCenter.y - body.y;
                 const distance = Math.sqrt(dx * dx + dy * dy);
 
                 // Accelerated sucking phase
                 if (progress < 0.8) {
                     // Strong acceleration towards center
-                    const angle = Math.atan2(dy, dx);
                     const baseSpeed = 8 + (progress * 15); // Accelerate over time
                     const proximityFactor = Math.max(0, 1 - (distance / 600));
-                    const speed = baseSpeed * (1 + proximityFactor * 5); // Speed up as elements approach
-                    
-                    const velocityX = Math.cos(angle) * speed;
-                    const velocityY = Math.sin(angle) * speed;
-
-                    const newX = elemCenter.x + velocityX;
-                    const newY = elemCenter.y + velocityY;
+                    const speed = Math.min(distance, baseSpeed * (1 + proximityFactor * 5)); // Speed up as elements approach
 
-                    elem.style.position = 'fixed';
-                    elem.style.left = (newX - rect.width / 2) + 'px';
-                    elem.style.top = (newY - rect.height / 2) + 'px';
-                    elem.style.zIndex = '205';
-                    elem.classList.add('black-hole-active');
+                    if (distance > 0) {
+                        body.x += (dx / distance) * speed;
+                        body.y += (dy / distance) * speed;
+                    }
 
                     // Rotation effect - faster as time progresses
-                    const rotation = (index * 20 + Date.now() / 12) % 360;
+                    const rotation = (body.index * 20 + Date.now() / 12) % 360;
                     
                     // Scale down as distance decreases
                     const scale = Math.max(0.01, 1 - (Math.min(distance, 500) / 400));
@@ -223,43 +521,150 @@ class BlackHoleMode {
                     const fadeTime = Math.max(0, 1 - (progress * 1.5));
                     const opacity = Math.max(0, fadeDistance * fadeTime);
                     
-                    elem.style.opacity = opacity;
-                    elem.style.transform = `rotate(${rotation}deg) scale(${scale})`;
+                    body.element.style.opacity = opacity;
+                    this.applyTransform(body, ` rotate(${rotation}deg) scale(${scale})`);
                 } else {
                     // Final phase - everything disappears
-                    elem.style.opacity = '0';
-                    elem.style.pointerEvents = 'none';
+                    body.element.style.opacity = '0';
+                    body.swallowed = true;
                 }
             });
 
-            if (progress < 1) {
-                this.animationFrameId = requestAnimationFrame(animate);
-            } else {
-                // Animation complete
-                this.finalizeBlackHoleAnimation();
-            }
+            if (progress < 1) return true;
+
+            // Animation complete
+            this.finalizeBlackHoleAnimation();
+            return false;
         };
 
-        animate();
+        // Avviato dall'utente: gira anche con gli effetti spenti
+        animationScheduler.add('black-hole:suck', animate, { essential: true });
     }
 
     finalizeBlackHoleAnimation() {
-        // Hide all affected elements completely
-        this.affectedElements.forEach(elem => {
-            if (elem.offsetParent) {
-                elem.style.opacity = '0';
-                elem.style.pointerEvents = 'none';
-            }
+        this.emit('collapse');
+        this.spitOutElements();
+        this.transitionToFloating();
+    }
+
+    resetBlackHoleSize() {
+        this.holeRadius = BLACK_HOLE_BASE_RADIUS;
+    }
+
+    /**
+     * Measure the elements once (all reads, then all writes): they stay in the layout and from here on
+     * they only move through transform. Nested elements (e.g. .card-title inside .card) move with their parent.
+     */
+    measureElements() {
+        const roots = this.affectedElements.filter(elem =>
+            !this.affectedElements.some(other => other !== elem && other.contains(elem))
+        );
+        const measured = roots.map(elem => {
+            const style = window.getComputedStyle(elem);
+            return { elem, rect: elem.getBoundingClientRect(), position: style.position, display: style.display, transform: style.transform };
+        });
+
+        return measured.map(({ elem, rect, position, display, transform }, index) => {
+            // z-index vale solo sugli elementi posizionati; transform non vale sugli inline
+            if (position === 'static') elem.style.position = 'relative';
+            if (display === 'inline') elem.style.display = 'inline-block';
+            elem.style.zIndex = '205';
+            elem.style.willChange = 'transform, opacity';
+            elem.style.transition = 'none';
+            elem.classList.add('black-hole-active');
+
+            const homeX = rect.left + rect.width / 2;
+            const homeY = rect.top + rect.height / 2;
+            return {
+                element: elem,
+                index,
+                homeX,
+                homeY,
+                x: homeX,
+                y: homeY,
+                vx: 0,
+                vy: 0,
+                width: rect.width,
+                height: rect.height,
+                baseTransform: transform === 'none' ? '' : ' ' + transform,
+                // Massa proporzionale all'area: le card spostano i bottoni, non il contrario
+                invMass: 1 / Math.max(1, rect.width * rect.height),
+                swallowed: false,
+                drag: null,
+                handlers: null
+            };
         });
     }
 
-    transitionToFloating() {
-        // Add dragging functionality
-        this.floatingElements.forEach(elem => {
-            elem.element.classList.add('floating-item');
-            elem.element.style.cursor = 'grab';
+    // Unica scrittura per frame: transform (e opacity dove serve)
+    applyTransform(body, extra = '') {
+        body.element.style.transform = `translate(${body.x - body.homeX}px, ${body.y - body.homeY}px)${extra}${body.baseTransform}`;
+    }
+
+    // Lo scroll resta fermo: le misure prese all'attivazione restano valide
+    lockScroll() {
+        const root = document.documentElement;
+        const scrollbarWidth = window.innerWidth - root.clientWidth;
+        this.scrollLock = { overflow: root.style.overflow, paddingRight: document.body.style.paddingRight };
+
+        root.style.overflow = 'hidden';
+        if (scrollbarWidth > 0) {
+            const padding = parseFloat(window.getComputedStyle(document.body).paddingRight) || 0;
+            document.body.style.paddingRight = (padding + scrollbarWidth) + 'px';
+        }
+    }
+
+    unlockScroll() {
+        if (!this.scrollLock) return;
+        document.documentElement.style.overflow = this.scrollLock.overflow;
+        document.body.style.paddingRight = this.scrollLock.paddingRight;
+        this.scrollLock = null;
+    }
 
-            elem.element.addEventListener('mousedown', (e) => this.startDrag(e, elem));
+    // The black hole spits everything back out: every element restarts from the center with a random velocity
+    spitOutElements() {
+        this.resetBlackHoleSize();
+        if (this.snowAttractor) this.snowAttractor.absorbRadius = 50;
+
+        this.floatingElements = this.bodies.filter(body => body.element.isConnected);
+        this.floatingElements.forEach(body => {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = (8 + Math.random() * 10) * (animationScheduler.motion === 'full' ? 1 : 0.2);
+            const spread = Math.random() * 40;
+
+            body.x = this.blackHoleCenter.x + Math.cos(angle) * spread;
+            body.y = this.blackHoleCenter.y + Math.sin(angle) * spread;
+            body.vx = Math.cos(angle) * speed;
+            body.vy = Math.sin(angle) * speed;
+            body.swallowed = false;
+
+            const elem = body.element;
+            elem.classList.remove('black-hole-active');
+            elem.style.opacity = '1';
+            elem.style.zIndex = '206';
+            // La topbar ha pointer-events: none durante il float
+            elem.style.pointerEvents = 'auto';
+            this.applyTransform(body);
+        });
+    }
+
+    transitionToFloating() {
+        // Add dragging functionality (mouse, touch and pen)
+        this.floatingElements.forEach(floatData => {
+            const elem = floatData.element;
+            elem.classList.add('floating-item');
+            elem.style.cursor = 'grab';
+
+            floatData.handlers = {
+                pointerdown: (e) => this.startDrag(e, floatData),
+                pointermove: (e) => this.moveDrag(e, floatData),
+                pointerup: (e) => this.endDrag(e, floatData),
+                pointercancel: (e) => this.endDrag(e, floatData),
+                // Niente navigazione o drag nativo dei link mentre fluttuano
+                click: (e) => e.preventDefault(),
+                dragstart: (e) => e.preventDefault()
+            };
+            Object.entries(floatData.handlers).forEach(([type, handler]) => elem.addEventListener(type, handler));
         });
 
         // Disable topbar during float mode
@@ -269,24 +674,36 @@ class BlackHoleMode {
         }
 
         // Start floating animation
-        this.animateFloatingElements();
+        this.startPhysicsLoop();
+    }
+
+    // One scheduler task for the whole float phase, however many drags happen
+    startPhysicsLoop() {
+        if (animationScheduler.has('black-hole:float')) return;
+
+        animationScheduler.add('black-hole:float', () => {
+            if (!this.isActive) return false;
+            this.animateFloatingElements();
+        }, { essential: true });
     }
 
     animateFloatingElements() {
         this.floatingElements.forEach(floatData => {
-            const elem = floatData.element;
-            const rect = elem.getBoundingClientRect();
+            // L'elemento trascinato segue il puntatore
+            if (floatData.drag) return;
 
             // Apply air resistance
             floatData.vx *= 0.98;
             floatData.vy *= 0.98;
 
             // Random floating motion (zero gravity effect)
-            floatData.vx += (Math.random() - 0.5) * 0.5;
-            floatData.vy += (Math.random() - 0.5) * 0.5;
+            if (animationScheduler.motion === 'full') {
+                floatData.vx += (Math.random() - 0.5) * 0.5;
+                floatData.vy += (Math.random() - 0.5) * 0.5;
+            }
 
             // Limit velocity
-            const maxVelocity = 4;
+            const maxVelocity = 25;
             const speed = Math.sqrt(floatData.vx ** 2 + floatData.vy ** 2);
             if (speed > maxVelocity) {
                 floatData.vx = (floatData.vx / speed) * maxVelocity;
@@ -297,84 +714,142 @@ class BlackHoleMode {
             floatData.x += floatData.vx;
             floatData.y += floatData.vy;
 
-            // Bounce off edges
-            if (floatData.x - rect.width / 2 < 0) {
-                floatData.x = rect.width / 2;
-                floatData.vx = Math.abs(floatData.vx);
-            }
-            if (floatData.x + rect.width / 2 > window.innerWidth) {
-                floatData.x = window.innerWidth - rect.width / 2;
-                floatData.vx = -Math.abs(floatData.vx);
-            }
-            if (floatData.y - rect.height / 2 < 0) {
-                floatData.y = rect.height / 2;
-                floatData.vy = Math.abs(floatData.vy);
-            }
-            if (floatData.y + rect.height / 2 > window.innerHeight) {
-                floatData.y = window.innerHeight - rect.height / 2;
-                floatData.vy = -Math.abs(floatData.vy);
-            }
-
-            // Apply position
-            elem.style.left = (floatData.x - rect.width / 2) + 'px';
-            elem.style.top = (floatData.y - rect.height / 2) + 'px';
-            elem.style.transform = 'rotate(0deg) scale(1)';
-            elem.style.zIndex = '206';
+            this.bounceOffEdges(floatData);
         });
 
-        if (this.isActive) {
-            requestAnimationFrame(() => this.animateFloatingElements());
-        }
+        this.resolveCollisions();
+
+        // Apply position
+        this.floatingElements.forEach(floatData => this.applyTransform(floatData));
     }
 
-    startDrag(e, floatData) {
-        if (!this.isActive) return;
+    bounceOffEdges(floatData) {
+        const halfWidth = floatData.width / 2;
+        const halfHeight = floatData.height / 2;
 
-        this.draggedElement = floatData;
-        const rect = floatData.element.getBoundingClientRect();
-        this.dragOffset.x = e.clientX - rect.left;
-        this.dragOffset.y = e.clientY - rect.top;
+        if (floatData.x - halfWidth < 0) {
+            floatData.x = halfWidth;
+            floatData.vx = Math.abs(floatData.vx);
+        }
+        if (floatData.x + halfWidth > window.innerWidth) {
+            floatData.x = window.innerWidth - halfWidth;
+            floatData.vx = -Math.abs(floatData.vx);
+        }
+        if (floatData.y - halfHeight < 0) {
+            floatData.y = halfHeight;
+            floatData.vy = Math.abs(floatData.vy);
+        }
+        if (floatData.y + halfHeight > window.innerHeight) {
+            floatData.y = window.innerHeight - halfHeight;
+            floatData.vy = -Math.abs(floatData.vy);
+        }
+    }
 
+    // Elements are boxes: overlapping pairs are pushed apart along the shallower axis and bounce elastically
+    resolveCollisions() {
+        const restitution = 0.8;
+        const items = this.floatingElements;
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const a = items[i];
+                const b = items[j];
+                // Chi è trascinato ha massa infinita
+                const invA = a.drag ? 0 : a.invMass;
+                const invB = b.drag ? 0 : b.invMass;
+                if (invA + invB === 0) continue;
+
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const overlapX = (a.width + b.width) / 2 - Math.abs(dx);
+                const overlapY = (a.height + b.height) / 2 - Math.abs(dy);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                const axis = overlapX < overlapY ? 'x' : 'y';
+                const velocity = axis === 'x' ? 'vx' : 'vy';
+                const direction = (axis === 'x' ? dx : dy) >= 0 ? 1 : -1;
+                const overlap = axis === 'x' ? overlapX : overlapY;
+
+                // Separate proportionally to the inverse mass
+                a[axis] -= direction * overlap * invA / (invA + invB);
+                b[axis] += direction * overlap * invB / (invA + invB);
+
+                const relativeVelocity = (b[velocity] - a[velocity]) * direction;
+                if (relativeVelocity >= 0) continue;
+
+                const impulse = -(1 + restitution) * relativeVelocity / (invA + invB);
+                a[velocity] -= direction * impulse * invA;
+                b[velocity] += direction * impulse * invB;
+            }
+        }
+    }
+
+    startDrag(e, floatData) {
+        if (!this.isActive || floatData.drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        e.preventDefault();
+
+        floatData.element.setPointerCapture(e.pointerId);
+        floatData.drag = {
+            pointerId: e.pointerId,
+            offsetX: e.clientX - floatData.x,
+            offsetY: e.clientY - floatData.y,
+            lastX: e.clientX,
+            lastY: e.clientY,
+            lastTime: e.timeStamp
+        };
+        floatData.vx = 0;
+        floatData.vy = 0;
         floatData.element.style.cursor = 'grabbing';
+        floatData.element.style.zIndex = '207';
+    }
 
-        const handleMouseMove = (moveEvent) => {
-            floatData.x = moveEvent.clientX - this.dragOffset.x + floatData.element.offsetWidth / 2;
-            floatData.y = moveEvent.clientY - this.dragOffset.y + floatData.element.offsetHeight / 2;
+    moveDrag(e, floatData) {
+        const drag = floatData.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
 
-            floatData.element.style.left = (floatData.x - floatData.element.offsetWidth / 2) + 'px';
-            floatData.element.style.top = (floatData.y - floatData.element.offsetHeight / 2) + 'px';
-        };
+        floatData.x = e.clientX - drag.offsetX;
+        floatData.y = e.clientY - drag.offsetY;
 
-        const handleMouseUp = () => {
-            document.removeEventListener('mousemove', handleMouseMove);
-            document.removeEventListener('mouseup', handleMouseUp);
-            
-            if (floatData.element) {
-                floatData.element.style.cursor = 'grab';
-            }
-            this.draggedElement = null;
+        // Velocità del lancio in px per frame (~16.7ms), smussata sugli ultimi movimenti
+        const elapsed = Math.max(1, e.timeStamp - drag.lastTime);
+        floatData.vx = floatData.vx * 0.5 + ((e.clientX - drag.lastX) / elapsed) * 16.7 * 0.5;
+        floatData.vy = floatData.vy * 0.5 + ((e.clientY - drag.lastY) / elapsed) * 16.7 * 0.5;
+        drag.lastX = e.clientX;
+        drag.lastY = e.clientY;
+        drag.lastTime = e.timeStamp;
+    }
 
-            // Continue floating
-            if (this.isActive) {
-                this.animateFloatingElements();
-            }
-        };
+    endDrag(e, floatData) {
+        const drag = floatData.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
 
-        document.addEventListener('mousemove', handleMouseMove);
-        document.addEventListener('mouseup', handleMouseUp);
+        // Fermo da più di 100ms prima di rilasciare: nessun lancio
+        if (e.timeStamp - drag.lastTime > 100) {
+            floatData.vx = 0;
+            floatData.vy = 0;
+        }
+
+        floatData.drag = null;
+        floatData.element.style.cursor = 'grab';
+        floatData.element.style.zIndex = '206';
+        if (floatData.element.hasPointerCapture(e.pointerId)) {
+            floatData.element.releasePointerCapture(e.pointerId);
+        }
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new BlackHoleMode();
-});
+// Una sola istanza per pagina, anche se lo script viene caricato due volte
+function initBlackHole() {
+    window.metalDrops = window.metalDrops || {};
+    if (window.metalDrops.blackHole) return;
+
+    const config = window.METAL_DROPS_CONFIG || {};
+    window.metalDrops.blackHole = new BlackHoleMode(config.blackHole);
+}
 
-// Also initialize if already loaded
+// Initialize when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        new BlackHoleMode();
-    });
+    document.addEventListener('DOMContentLoaded', initBlackHole);
 } else {
-    new BlackHoleMode();
+    initBlackHole();
 }
@@ -0,0 +1,220 @@
+/**
+ * Celebrations
+ * Confetti effects for the happy moments (redeemed code, claimed account).
+ * celebrate(preset, { origin }) starts a preset from an element (or a point, or the whole window);
+ * all celebrations share one canvas and one scheduler task (see animation.js),
+ * which stops and clears the canvas as soon as the last particle is gone.
+ * Only runs with full motion.
+ */
+
+const CELEBRATION_COLORS = ['#0096ff', '#00e5ff', '#7c4dff', '#ff4081', '#ffd740', '#69f0ae'];
+const CELEBRATION_EMOJI = ['🎉', '✨', '🎮', '💎', '🔥'];
+const CELEBRATION_MAX_PARTICLES = 600;
+const CELEBRATION_MAX_LIFE = 4000; // ms: dopo questo tempo la particella sparisce comunque
+
+/**
+ * Presets. spawn(area, width, height) returns the starting { x, y, vx, vy } of one particle,
+ * area is the origin rectangle ({ left, top, width, height } in viewport coordinates).
+ */
+const CELEBRATION_PRESETS = {
+    // Esplosione dal centro dell'origine in tutte le direzioni
+    burst: {
+        count: 120,
+        gravity: 0.15,
+        drag: 0.98,
+        spawn(area) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 4 + Math.random() * 8;
+            return {
+                x: area.left + area.width / 2,
+                y: area.top + area.height / 2,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed - 2
+            };
+        }
+    },
+
+    // Cono verso l'alto dal bordo inferiore dell'origine (es. un bottone)
+    cannon: {
+        count: 150,
+        gravity: 0.25,
+        drag: 0.985,
+        spawn(area) {
+            const angle = -Math.PI / 2 + (Math.random() - 0.5) * 0.9;
+            const speed = 10 + Math.random() * 6;
+            return {
+                x: area.left + area.width / 2,
+                y: area.top + area.height,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed
+            };
+        }
+    },
+
+    // Pioggia dall'alto sopra l'origine (tutta la finestra se non c'è)
+    rain: {
+        count: 160,
+        gravity: 0.05,
+        drag: 0.99,
+        spawn(area) {
+            return {
+                x: area.left + Math.random() * area.width,
+                y: -20 - Math.random() * 200,
+                vx: (Math.random() - 0.5) * 1.5,
+                vy: 2 + Math.random() * 3
+            };
+        }
+    },
+
+    // Come burst, ma con le emoji
+    emoji: {
+        count: 40,
+        gravity: 0.15,
+        drag: 0.98,
+        emoji: true,
+        spawn(area) {
+            return CELEBRATION_PRESETS.burst.spawn(area);
+        }
+    }
+};
+
+// Canvas e particelle condivisi da tutte le celebrazioni in corso
+const celebration = {
+    canvas: null,
+    ctx: null,
+    createdCanvas: false,
+    particles: []
+};
+
+// Rettangolo di partenza: un elemento, un punto { x, y } o tutta la finestra
+function getCelebrationArea(origin) {
+    if (origin && typeof origin.getBoundingClientRect === 'function') {
+        const rect = origin.getBoundingClientRect();
+        return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+    }
+    if (origin && typeof origin.x === 'number') {
+        return { left: origin.x, top: origin.y, width: 0, height: 0 };
+    }
+    return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+}
+
+// Usa #confetti-canvas se la pagina ce l'ha, altrimenti ne crea uno che viene tolto a fine animazione
+function getCelebrationCanvas() {
+    if (celebration.canvas) return celebration.canvas;
+
+    let canvas = document.getElementById('confetti-canvas');
+    celebration.createdCanvas = !canvas;
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.id = 'confetti-canvas';
+        document.body.appendChild(canvas);
+    }
+
+    celebration.canvas = canvas;
+    celebration.ctx = canvas.getContext('2d');
+    return canvas;
+}
+
+/**
+ * Start a celebration.
+ * preset: 'burst' | 'cannon' | 'rain' | 'emoji'; options: { origin (element or { x, y }), count }.
+ * Returns false when nothing was started (unknown preset or motion not full).
+ */
+function celebrate(preset = 'burst', { origin = null, count = null } = {}) {
+    const config = CELEBRATION_PRESETS[preset];
+    if (!config) {
+        console.warn(`Unknown celebration preset "${preset}"`);
+        return false;
+    }
+    if (animationScheduler.motion !== 'full') return false;
+
+    getCelebrationCanvas();
+    const area = getCelebrationArea(origin);
+    const total = Math.ceil((count || config.count) * animationScheduler.quality);
+    const room = Math.max(0, CELEBRATION_MAX_PARTICLES - celebration.particles.length);
+
+    for (let i = 0; i < Math.min(total, room); i++) {
+        const start = config.spawn(area);
+        celebration.particles.push(Object.assign(start, {
+            preset: config,
+            age: 0,
+            size: config.emoji ? 18 + Math.random() * 14 : 5 + Math.random() * 6,
+            color: CELEBRATION_COLORS[Math.floor(Math.random() * CELEBRATION_COLORS.length)],
+            emoji: config.emoji ? CELEBRATION_EMOJI[Math.floor(Math.random() * CELEBRATION_EMOJI.length)] : null,
+            rotation: Math.random() * Math.PI * 2,
+            rotationSpeed: (Math.random() - 0.5) * 0.3
+        }));
+    }
+
+    if (!animationScheduler.has('celebration')) {
+        animationScheduler.add('celebration', stepCelebration);
+    }
+    return true;
+}
+
+function stepCelebration(dt) {
+    const { canvas, ctx } = celebration;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    // Ridimensiona solo quando cambia la finestra: assegnare width/height svuota il canvas
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+
+    celebration.particles = celebration.particles.filter(p => {
+        p.age += dt;
+        p.vy += p.preset.gravity;
+        p.vx *= p.preset.drag;
+        p.vy *= p.preset.drag;
+        p.x += p.vx;
+        p.y += p.vy;
+        p.rotation += p.rotationSpeed;
+
+        const offscreen = p.y > height + 40 || p.x < -40 || p.x > width + 40;
+        if (offscreen || p.age > CELEBRATION_MAX_LIFE) return false;
+
+        // Ultimo mezzo secondo: dissolvenza
+        ctx.globalAlpha = Math.min(1, (CELEBRATION_MAX_LIFE - p.age) / 500);
+        ctx.save();
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rotation);
+        if (p.emoji) {
+            ctx.font = `${p.size}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(p.emoji, 0, 0);
+        } else {
+            ctx.fillStyle = p.color;
+            ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+        }
+        ctx.restore();
+        return true;
+    });
+    ctx.globalAlpha = 1;
+
+    if (celebration.particles.length > 0) return true;
+    stopCelebration();
+    return false;
+}
+
+// Svuota e rilascia il canvas: la prossima celebrazione lo riprende da capo
+function stopCelebration() {
+    animationScheduler.remove('celebration');
+    celebration.particles = [];
+    if (!celebration.canvas) return;
+
+    celebration.ctx.clearRect(0, 0, celebration.canvas.width, celebration.canvas.height);
+    if (celebration.createdCanvas) celebration.canvas.remove();
+    celebration.canvas = null;
+    celebration.ctx = null;
+}
+
+// Con motion ridotto o effetti spenti i coriandoli in volo spariscono subito
+window.addEventListener('animation:settings', () => {
+    if (animationScheduler.motion !== 'full') stopCelebration();
+});
+
+window.metalDrops = window.metalDrops || {};
+window.metalDrops.celebrate = celebrate;
@@ -0,0 +1,185 @@
+/**
+ * Claim history
+ * Reads the per-user claim log kept by the history function and drives history.html:
+ * filters, pagination and CSV/JSON export. Labels and messages come from i18n.js and follow "i18n:change".
+ */
+
+const HISTORY_API_URL = window.METAL_DROPS_CONFIG.apiBase + '/history';
+const HISTORY_PAGE_SIZE = 20;
+const HISTORY_EXPORT_COLUMNS = ['timestamp', 'game', 'source', 'outcome'];
+
+// Chiavi di i18n.js: la riga della tabella ha la versione lunga dell'esito, il filtro quella corta
+const HISTORY_SOURCE_KEYS = { daily: 'history.source.daily', bonus: 'history.source.bonus' };
+const HISTORY_OUTCOME_KEYS = {
+    claimed: 'history.outcome.claimed',
+    rejected: 'history.outcome.rejected',
+    not_member: 'history.outcome.notMember',
+    out_of_stock: 'history.outcome.outOfStock',
+    released: 'history.outcome.released',
+    expired: 'history.outcome.expired',
+    failed: 'history.outcome.failed'
+};
+
+/**
+ * One page of the user's history, newest first.
+ * filters: { game, source, outcome }; pageSize 0 returns everything.
+ */
+async function fetchClaimHistory(filters = {}, page = 1, pageSize = HISTORY_PAGE_SIZE) {
+    if (!getSession()) throw new Error('Not logged in');
+
+    const params = new URLSearchParams({ page, pageSize });
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    const response = await authFetch(`${HISTORY_API_URL}?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch claim history');
+    return response.json();
+}
+
+/**
+ * Download every entry matching the filters as "csv" or "json"
+ */
+async function exportClaimHistory(format, filters = {}) {
+    const { entries } = await fetchClaimHistory(filters, 1, 0);
+    const rows = entries.map(entry => {
+        const row = {};
+        HISTORY_EXPORT_COLUMNS.forEach(column => { row[column] = entry[column]; });
+        return row;
+    });
+
+    const content = format === 'csv' ? formatCSV(HISTORY_EXPORT_COLUMNS, rows) : JSON.stringify(rows, null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `metal-drops-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Alcuni browser avviano il download dopo il click: l'URL deve vivere fino al giro successivo
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============ HISTORY PAGE ============
+
+function renderHistoryRows(tbody, entries) {
+    tbody.innerHTML = '';
+
+    if (entries.length === 0) {
+        const row = tbody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.className = 'history-empty';
+        cell.textContent = t('history.empty');
+        return;
+    }
+
+    entries.forEach(entry => {
+        const row = tbody.insertRow();
+        row.className = 'history-' + entry.outcome;
+        row.insertCell().textContent = new Date(entry.timestamp).toLocaleString(getLocale());
+        row.insertCell().textContent = entry.game;
+        row.insertCell().textContent = HISTORY_SOURCE_KEYS[entry.source] ? t(HISTORY_SOURCE_KEYS[entry.source]) : '-';
+        row.insertCell().textContent = HISTORY_OUTCOME_KEYS[entry.outcome] ? t(HISTORY_OUTCOME_KEYS[entry.outcome]) : entry.outcome;
+    });
+}
+
+// Le opzioni dei filtri in history.html, con il valore come parte della chiave
+function translateHistoryFilters(form) {
+    form.elements.source.querySelectorAll('option').forEach(option => {
+        option.textContent = option.value ? t(HISTORY_SOURCE_KEYS[option.value]) : t('history.filter.allSources');
+    });
+    form.elements.outcome.querySelectorAll('option').forEach(option => {
+        option.textContent = t(option.value ? HISTORY_OUTCOME_KEYS[option.value] + 'Short' : 'history.filter.allOutcomes');
+    });
+}
+
+function initHistoryPage() {
+    const table = document.getElementById('historyTable');
+    if (!table) return;
+
+    const form = document.querySelector('.history-filters');
+    const tbody = table.tBodies[0];
+    const pageInfo = document.querySelector('.history-page-info');
+    const prevBtn = document.querySelector('[data-page="prev"]');
+    const nextBtn = document.querySelector('[data-page="next"]');
+    const statusEl = document.querySelector('.history-status');
+
+    let page = 1;
+    let filterTimer = null;
+    // Ultima pagina e ultimo messaggio mostrati, per ridisegnarli al cambio lingua
+    let lastResult = null;
+    let statusKey = null;
+
+    const showStatus = (key) => {
+        statusKey = key;
+        statusEl.textContent = key ? t(key) : '';
+    };
+
+    const render = (result) => {
+        const pages = Math.max(1, Math.ceil(result.total / result.pageSize));
+        renderHistoryRows(tbody, result.entries);
+        pageInfo.textContent = t('history.pageInfo', { page: result.page, pages, count: result.total });
+        prevBtn.disabled = result.page <= 1;
+        nextBtn.disabled = result.page >= pages;
+    };
+
+    const readFilters = () => ({
+        game: form.elements.game.value.trim(),
+        source: form.elements.source.value,
+        outcome: form.elements.outcome.value
+    });
+
+    const load = async () => {
+        showStatus('history.loading');
+        try {
+            lastResult = await fetchClaimHistory(readFilters(), page);
+            render(lastResult);
+            showStatus(null);
+        } catch (error) {
+            console.error('Error loading claim history:', error);
+            lastResult = null;
+            tbody.innerHTML = '';
+            showStatus(getSession() ? 'history.loadError' : 'history.loggedOut');
+        }
+    };
+
+    // Piccolo debounce per non fare una richiesta a ogni tasto
+    form.addEventListener('input', () => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => {
+            page = 1;
+            load();
+        }, 250);
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    prevBtn.addEventListener('click', () => { page--; load(); });
+    nextBtn.addEventListener('click', () => { page++; load(); });
+
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exportClaimHistory(btn.dataset.export, readFilters()).catch(error => {
+                console.error('Error exporting claim history:', error);
+                showStatus('history.exportError');
+            });
+        });
+    });
+
+    window.addEventListener('i18n:change', () => {
+        translateHistoryFilters(form);
+        if (lastResult) render(lastResult);
+        showStatus(statusKey);
+    });
+
+    translateHistoryFilters(form);
+    load();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initHistoryPage);
+} else {
+    initHistoryPage();
+}
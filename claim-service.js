@@ -0,0 +1,126 @@
+/**
+ * Claim Service client
+ * The claims function keeps the ledger of every claim by Discord user id and enforces
+ * the daily quota (plus the booster quota from Discord roles). Only members of our Discord server can claim.
+ * Claiming takes two steps: reserveAccount() holds one account for the user for a few minutes (the quota
+ * is taken right away), confirmReservation() makes it theirs. A released or expired reservation is refunded.
+ * The browser only caches its last answer and fires "quota:updated" (detail { quota }) when it changes;
+ * a claim or redeem in another tab makes every tab ask the server again.
+ * Requests are authenticated with the session token (see auth.js).
+ */
+
+const CLAIM_API_URL = window.METAL_DROPS_CONFIG.apiBase + '/claims';
+// Scritta dopo ogni claim o redeem: le altre schede la vedono con l'evento storage
+const QUOTA_SYNC_KEY = 'metalDrops.quotaSync';
+
+// Ultima quota ricevuta dal server, null finché non è stata verificata
+let claimQuota = null;
+// Diventa true dopo la prima risposta (o il primo errore) del claim service
+let claimQuotaChecked = false;
+
+/**
+ * Cache the server's answer and tell the page. broadcast: the quota changed here, tell the other tabs too.
+ */
+function setClaimQuota(quota, { broadcast = false } = {}) {
+    claimQuota = quota;
+    claimQuotaChecked = true;
+    window.dispatchEvent(new CustomEvent('quota:updated', { detail: { quota } }));
+    if (broadcast) localStorage.setItem(QUOTA_SYNC_KEY, String(Date.now()));
+}
+
+/**
+ * Ask the claims function for the current user's allowance.
+ * Returns null when the quota can't be verified (not logged in or service unreachable).
+ */
+async function fetchClaimQuota() {
+    if (!getSession()) {
+        setClaimQuota(null);
+        return null;
+    }
+
+    try {
+        const response = await authFetch(`${CLAIM_API_URL}/quota`);
+        if (!response.ok) throw new Error('Failed to fetch claim quota');
+
+        setClaimQuota(await response.json());
+    } catch (error) {
+        console.error('Error fetching claim quota:', error);
+        setClaimQuota(null);
+    }
+
+    return claimQuota;
+}
+
+// Risposta del servizio con la quota aggiornata: la salviamo e avvisiamo le altre schede
+async function readReservationResponse(response) {
+    const data = await response.json();
+    if (data.quota) setClaimQuota(data.quota, { broadcast: true });
+    return data;
+}
+
+/**
+ * Reserve one account of the given drop for the current user.
+ * Resolves to { ok: true, reservation: { id, game, account, expiresAt }, quota }
+ * or { ok: false, reason: 'limit' | 'not_member' | 'out_of_stock' | 'unknown_game' | 'unverified', quota }.
+ */
+async function reserveAccount(gameName) {
+    if (!getSession()) return { ok: false, reason: 'unverified', quota: null };
+
+    try {
+        const response = await authFetch(`${CLAIM_API_URL}/reservations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ game: gameName })
+        });
+        const data = await readReservationResponse(response);
+
+        if (response.status === 409 || response.status === 403) {
+            return { ok: false, reason: data.reason || (response.status === 403 ? 'not_member' : 'limit'), quota: claimQuota };
+        }
+        // Gioco tolto dall'inventario dopo che la pagina l'ha caricato
+        if (response.status === 404) return { ok: false, reason: 'unknown_game', quota: claimQuota };
+        if (!response.ok) throw new Error(data.error || 'Failed to reserve an account');
+
+        return { ok: true, reservation: data.reservation, quota: claimQuota };
+    } catch (error) {
+        console.error('Error reserving an account:', error);
+        setClaimQuota(null);
+        return { ok: false, reason: 'unverified', quota: null };
+    }
+}
+
+/**
+ * Confirm a reservation: the account becomes the user's.
+ * Resolves to { ok: true, reservation, quota } or { ok: false, reason: 'expired' | 'released' | 'failed' | 'not_found' | 'unverified' }.
+ */
+async function confirmReservation(reservationId) {
+    try {
+        const response = await authFetch(`${CLAIM_API_URL}/reservations/${encodeURIComponent(reservationId)}/confirm`, { method: 'POST' });
+        const data = await readReservationResponse(response);
+
+        if (!response.ok) return { ok: false, reason: data.reason || 'unverified', quota: claimQuota };
+        return { ok: true, reservation: data.reservation, quota: claimQuota };
+    } catch (error) {
+        console.error('Error confirming the reservation:', error);
+        return { ok: false, reason: 'unverified', quota: claimQuota };
+    }
+}
+
+/**
+ * Give a reservation back: the account returns to the pool and the claim is refunded.
+ * keepalive lets the request finish while the page is closing.
+ */
+async function releaseReservation(reservationId, { keepalive = false } = {}) {
+    try {
+        const response = await authFetch(`${CLAIM_API_URL}/reservations/${encodeURIComponent(reservationId)}`, { method: 'DELETE', keepalive });
+        await readReservationResponse(response);
+    } catch (error) {
+        // Se non arriva, la prenotazione scade da sola e la quota torna comunque
+        console.error('Error releasing the reservation:', error);
+    }
+}
+
+// Claim o redeem in un'altra scheda: la quota va riletta dal server
+window.addEventListener('storage', (e) => {
+    if (e.key === QUOTA_SYNC_KEY) fetchClaimQuota();
+});
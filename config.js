@@ -0,0 +1,33 @@
+/**
+ * Metal Drops site configuration
+ * A page can define window.METAL_DROPS_CONFIG before loading this file to override any value
+ */
+
+(function() {
+    // In locale usiamo il dev server (node server/dev-server.js) che espone le stesse funzioni sotto /api
+    const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    const apiBase = isLocal ? '/api' : 'https://pwgkvqgitofueocbnmpv.supabase.co/functions/v1';
+
+    window.METAL_DROPS_CONFIG = Object.assign({
+        // Base URL of the backend functions (discord-auth, claims, ...)
+        apiBase,
+
+        // Discord OAuth (see auth.js). In locale l'autorizzazione è simulata dal dev server
+        oauth: {
+            authorizeUrl: isLocal ? '/api/discord-auth/authorize' : 'https://discord.com/oauth2/authorize',
+            clientId: '1445769827020177418',
+            redirectUri: isLocal
+                ? window.location.origin + '/index_home.html'
+                : 'https://metaldropsllllll-1k2u6b417j.edgeone.dev/index_home.html',
+            // guilds.members.read: la funzione legge membership e ruoli nel nostro server
+            scope: 'identify email guilds.members.read'
+        },
+
+        // Drop inventory source: { type: 'sheet' | 'json' | 'rest' | 'memory', url?, games? } (see inventory.js)
+        // Il backend manda solo lo stock: gli account si vedono uno alla volta con una prenotazione (claims)
+        inventory: { type: 'rest', url: apiBase + '/inventory' },
+
+        // Black hole mode options: duration, maxRadius, selectors, exclude, shortcut (see black-hole.js)
+        blackHole: {}
+    }, window.METAL_DROPS_CONFIG || {});
+})();
@@ -0,0 +1,211 @@
+/**
+ * Streaming CSV parser (RFC 4180)
+ * Handles quoted fields with line breaks, escaped quotes (""), CRLF/LF/CR line endings and a leading BOM.
+ * The first record is the header row: every following record is keyed by header name.
+ * Blank headers become "column_N" and repeated ones get a suffix ("Account", "Account_2", ...).
+ * formatCSV does the opposite for exports.
+ */
+
+class CSVParser {
+    /**
+     * @param {function(Object, number)} onRecord called with the keyed record and its first line number
+     * @param {function({line: number, message: string})} onError called for every malformed row
+     */
+    constructor(onRecord, onError) {
+        this.onRecord = onRecord;
+        this.onError = onError || (() => {});
+        this.headers = null;
+        this.fields = [];
+        this.field = '';
+        this.state = 'fieldStart';
+        this.rowError = null;
+        this.skipLF = false;
+        this.started = false;
+        this.line = 1;
+        this.recordLine = 1;
+    }
+
+    push(chunk) {
+        let i = 0;
+        // BOM solo all'inizio del file
+        if (!this.started && chunk.length > 0) {
+            this.started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) i = 1;
+        }
+
+        for (; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (char === '\n') continue;
+            }
+
+            switch (this.state) {
+                case 'fieldStart':
+                    if (char === '"') this.state = 'quoted';
+                    else if (char === ',') this.endField();
+                    else if (char === '\r' || char === '\n') this.endRecord(char);
+                    else {
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+
+                case 'unquoted':
+                    if (char === ',') this.endField();
+                    else if (char === '\r' || char === '\n') this.endRecord(char);
+                    else {
+                        if (char === '"') this.markRowError('Unexpected quote in an unquoted field');
+                        this.field += char;
+                    }
+                    break;
+
+                case 'quoted':
+                    if (char === '"') this.state = 'quoteInQuoted';
+                    else if (char === '\r' || char === '\n') {
+                        // Le andate a capo dentro una cella diventano sempre \n
+                        this.field += '\n';
+                        this.newLine(char);
+                    } else this.field += char;
+                    break;
+
+                case 'quoteInQuoted':
+                    if (char === '"') {
+                        this.field += '"';
+                        this.state = 'quoted';
+                    } else if (char === ',') this.endField();
+                    else if (char === '\r' || char === '\n') this.endRecord(char);
+                    else {
+                        this.markRowError('Unexpected character after a closing quote');
+                        this.field += char;
+                        this.state = 'unquoted';
+                    }
+                    break;
+            }
+        }
+    }
+
+    end() {
+        if (this.state === 'quoted') {
+            this.markRowError('Unterminated quoted field');
+            this.finishRecord();
+        } else if (this.field !== '' || this.fields.length > 0 || this.state !== 'fieldStart') {
+            this.finishRecord();
+        }
+    }
+
+    newLine(char) {
+        this.line++;
+        if (char === '\r') this.skipLF = true;
+    }
+
+    markRowError(message) {
+        if (!this.rowError) this.rowError = message;
+    }
+
+    endField() {
+        this.fields.push(this.field);
+        this.field = '';
+        this.state = 'fieldStart';
+    }
+
+    endRecord(char) {
+        this.finishRecord();
+        this.newLine(char);
+        this.recordLine = this.line;
+    }
+
+    finishRecord() {
+        this.endField();
+        const fields = this.fields;
+        const rowError = this.rowError;
+        const line = this.recordLine;
+        this.fields = [];
+        this.rowError = null;
+
+        // Riga vuota
+        if (fields.length === 1 && fields[0] === '' && !rowError) return;
+
+        if (rowError) {
+            this.onError({ line, message: rowError });
+            return;
+        }
+
+        if (!this.headers) {
+            this.headers = CSVParser.normalizeHeaders(fields);
+            return;
+        }
+
+        if (fields.length > this.headers.length) {
+            this.onError({ line, message: `Expected ${this.headers.length} fields, found ${fields.length}` });
+            return;
+        }
+
+        const record = {};
+        this.headers.forEach((header, index) => {
+            record[header] = index < fields.length ? fields[index] : '';
+        });
+        this.onRecord(record, line);
+    }
+
+    static normalizeHeaders(fields) {
+        const seen = {};
+        return fields.map((field, index) => {
+            const name = field.trim() || `column_${index + 1}`;
+            seen[name] = (seen[name] || 0) + 1;
+            return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+        });
+    }
+}
+
+/**
+ * Parse a whole CSV string.
+ * Returns { headers, records, errors }.
+ */
+function parseCSVText(text) {
+    const records = [];
+    const errors = [];
+    const parser = new CSVParser(record => records.push(record), error => errors.push(error));
+    parser.push(text);
+    parser.end();
+    return { headers: parser.headers || [], records, errors };
+}
+
+/**
+ * Parse a CSV fetch Response chunk by chunk as it downloads.
+ * Returns { headers, records, errors }.
+ */
+async function parseCSVResponse(response) {
+    if (!response.body || !response.body.getReader) return parseCSVText(await response.text());
+
+    const records = [];
+    const errors = [];
+    const parser = new CSVParser(record => records.push(record), error => errors.push(error));
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
+    }
+    parser.push(decoder.decode());
+    parser.end();
+
+    return { headers: parser.headers || [], records, errors };
+}
+
+/**
+ * Serialize rows (objects) to CSV with CRLF line endings, quoting fields when needed
+ */
+function formatCSV(headers, rows) {
+    const escapeField = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [headers, ...rows.map(row => headers.map(header => row[header]))]
+        .map(fields => fields.map(escapeField).join(','))
+        .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,176 @@
+/**
+ * Dashboard cards
+ * Builds the .grid of game cards from the inventory provider (see inventory.js):
+ * title, tag, status badge and live stock count all come from the inventory columns.
+ * Games without accounts are marked "Out of stock" automatically.
+ * Texts come from i18n.js; the grid is drawn again on "i18n:change".
+ * When the same games come back (stock refresh, language change) the existing cards are updated in place,
+ * so the .get-btn that opened the account modal stays in the page and gets the focus back on close.
+ */
+
+// Tag mostrato quando il foglio non ha una colonna "tag" per il gioco
+const DEFAULT_CARD_TAG = 'Working✅ • Updated🛠️';
+
+// Stati noti tradotti; uno stato scritto a mano nel foglio si mostra com'è
+const CARD_STATUS_KEYS = {
+    available: 'card.status.available',
+    working: 'card.status.working',
+    'out of stock': 'card.status.outOfStock'
+};
+
+// Quello che la griglia mostra adesso (card o messaggio), per ridisegnarla al cambio lingua
+const dashboardGrid = { inventory: null, message: null };
+
+function createCard(game) {
+    const card = document.createElement('div');
+    card.dataset.game = game.name;
+
+    const title = document.createElement('div');
+    title.className = 'card-title';
+    title.textContent = game.name;
+    card.appendChild(title);
+
+    const tag = document.createElement('div');
+    tag.className = 'tag';
+    card.appendChild(tag);
+
+    const meta = document.createElement('div');
+    meta.className = 'card-meta';
+    const badge = document.createElement('span');
+    meta.appendChild(badge);
+    const stockEl = document.createElement('span');
+    stockEl.className = 'stock-count';
+    meta.appendChild(stockEl);
+    card.appendChild(meta);
+
+    const btn = document.createElement('a');
+    btn.className = 'get-btn';
+    btn.href = DISCORD_INVITE_URL;
+    const btnText = document.createElement('span');
+    btnText.className = 'btn-text';
+    btn.appendChild(btnText);
+    card.appendChild(btn);
+
+    updateCard(card, game);
+    return card;
+}
+
+// Tutto quello che cambia con l'inventario o con la lingua, sugli elementi già creati da createCard
+function updateCard(card, game) {
+    // Il backend dà solo il numero (gli account si vedono con una prenotazione), il foglio la lista
+    const stock = game.stock ?? game.accounts.length;
+    const inStock = stock > 0;
+    // Il valore resta quello del foglio (filtri e link della toolbar), solo l'etichetta cambia lingua
+    const status = inStock ? (game.status || 'available') : 'out of stock';
+    const statusKey = CARD_STATUS_KEYS[status.toLowerCase()];
+    const statusLabel = statusKey ? t(statusKey) : status;
+
+    card.className = inStock ? 'card' : 'card out-of-stock';
+    card.dataset.stock = stock;
+    card.dataset.status = status.toLowerCase();
+    card.dataset.statusLabel = statusLabel;
+    card.dataset.platform = game.platform || '';
+    card.dataset.updated = game.updated || '';
+
+    card.querySelector('.tag').textContent = game.tag || DEFAULT_CARD_TAG;
+
+    const badge = card.querySelector('.card-meta > span:first-child');
+    badge.className = 'status-badge status-' + status.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    badge.textContent = statusLabel;
+    card.querySelector('.stock-count').textContent = t('card.stock', { count: stock });
+
+    const btn = card.querySelector('.get-btn');
+    btn.querySelector('.btn-text').textContent = inStock ? t('button.get') : t('card.status.outOfStock');
+    if (inStock) {
+        // Di nuovo disponibile: lo stile del bottone lo decide la quota (updateGetAccountButtons)
+        btn.removeAttribute('aria-disabled');
+        btn.style.pointerEvents = '';
+        btn.style.opacity = '';
+    } else {
+        btn.setAttribute('aria-disabled', 'true');
+        btn.style.pointerEvents = 'none';
+        btn.style.opacity = '0.5';
+    }
+}
+
+// key: messaggio del catalogo di i18n.js
+function showGridMessage(grid, key, withRetry) {
+    dashboardGrid.inventory = null;
+    dashboardGrid.message = { key, withRetry };
+
+    grid.innerHTML = '';
+    const message = document.createElement('div');
+    message.className = 'grid-message';
+    message.textContent = t(key);
+
+    if (withRetry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'account-data-refresh';
+        retryBtn.type = 'button';
+        retryBtn.textContent = t('dashboard.retry');
+        retryBtn.addEventListener('click', () => {
+            showGridMessage(grid, 'dashboard.loading', false);
+            getInventoryProvider().refresh().catch(() => showGridMessage(grid, 'dashboard.loadError', true));
+        });
+        message.appendChild(retryBtn);
+    }
+
+    grid.appendChild(message);
+}
+
+function renderDashboardCards(inventory) {
+    const grid = document.querySelector('.grid');
+    if (!grid) return;
+
+    const games = Object.values(inventory.games);
+    if (games.length === 0) {
+        showGridMessage(grid, 'dashboard.empty', false);
+        return;
+    }
+    dashboardGrid.inventory = inventory;
+    dashboardGrid.message = null;
+
+    const cards = new Map([...grid.querySelectorAll('.card')].map(card => [card.dataset.game, card]));
+    const sameGames = cards.size === games.length && games.every(game => cards.has(game.name));
+
+    if (sameGames) {
+        games.forEach(game => updateCard(cards.get(game.name), game));
+    } else {
+        const fragment = document.createDocumentFragment();
+        games.forEach(game => fragment.appendChild(createCard(game)));
+
+        grid.innerHTML = '';
+        grid.appendChild(fragment);
+    }
+
+    attachGetAccountListeners();
+    window.dispatchEvent(new CustomEvent('dashboard:cards-rendered', { detail: { count: games.length } }));
+}
+
+async function initDashboardCards() {
+    const grid = document.querySelector('.grid');
+    if (!grid) return;
+
+    showGridMessage(grid, 'dashboard.loading', false);
+    try {
+        renderDashboardCards(await getInventoryProvider().getInventory());
+    } catch (error) {
+        console.error('Error loading dashboard cards:', error);
+        showGridMessage(grid, 'dashboard.loadError', true);
+    }
+
+    // Le card si aggiornano da sole quando l'inventario viene ricaricato in background
+    window.addEventListener('inventory:updated', (e) => renderDashboardCards(e.detail));
+
+    // Cambio lingua: stesse card (o stesso messaggio) con i testi nuovi
+    window.addEventListener('i18n:change', () => {
+        if (dashboardGrid.inventory) renderDashboardCards(dashboardGrid.inventory);
+        else if (dashboardGrid.message) showGridMessage(grid, dashboardGrid.message.key, dashboardGrid.message.withRetry);
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDashboardCards);
+} else {
+    initDashboardCards();
+}
@@ -0,0 +1,166 @@
+/**
+ * Dashboard toolbar
+ * Text search on .card-title, status and platform filters and sorting for the card grid.
+ * Cards are only hidden and reordered (never rebuilt), so the .get-btn listeners stay in place.
+ * The state lives in the query string: dashboard.html?q=apex&status=working&platform=steam&sort=stock
+ * Control labels come from i18n.js and follow "i18n:change".
+ */
+
+const TOOLBAR_DEFAULTS = { q: '', status: '', platform: '', sort: 'name' };
+const TOOLBAR_SORT_KEYS = { name: 'toolbar.sort.name', stock: 'toolbar.sort.stock', updated: 'toolbar.sort.updated' };
+
+const CARD_SORTERS = {
+    name: (a, b) => a.dataset.game.localeCompare(b.dataset.game),
+    stock: (a, b) => Number(b.dataset.stock) - Number(a.dataset.stock),
+    // Le card senza data di aggiornamento vanno in fondo
+    updated: (a, b) => (Date.parse(b.dataset.updated) || 0) - (Date.parse(a.dataset.updated) || 0)
+};
+
+function readToolbarState() {
+    const params = new URLSearchParams(window.location.search);
+    const state = {};
+    Object.keys(TOOLBAR_DEFAULTS).forEach(key => {
+        state[key] = (params.get(key) || TOOLBAR_DEFAULTS[key]).trim();
+    });
+    if (!CARD_SORTERS[state.sort]) state.sort = TOOLBAR_DEFAULTS.sort;
+    state.status = state.status.toLowerCase();
+    state.platform = state.platform.toLowerCase();
+    return state;
+}
+
+function writeToolbarState(state) {
+    const params = new URLSearchParams(window.location.search);
+    Object.keys(TOOLBAR_DEFAULTS).forEach(key => {
+        if (state[key] && state[key] !== TOOLBAR_DEFAULTS[key]) params.set(key, state[key]);
+        else params.delete(key);
+    });
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+}
+
+// Riempie una select con i valori presenti nelle card, mantenendo la scelta corrente
+function fillFilterOptions(select, values, allLabel, selected) {
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = allLabel;
+    select.appendChild(all);
+
+    values.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    // Un valore arrivato dal link ma assente dalle card resta selezionabile
+    if (selected && !values.some(item => item.value === selected)) {
+        const option = document.createElement('option');
+        option.value = selected;
+        option.textContent = selected;
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+// Il valore è il dato della card, l'etichetta quella tradotta se la card ne ha una (es. statusLabel)
+function distinctCardValues(cards, key) {
+    const values = new Map();
+    cards.forEach(card => {
+        const value = card.dataset[key];
+        const label = card.dataset[key + 'Label'] || value;
+        if (value && !values.has(value.toLowerCase())) values.set(value.toLowerCase(), label);
+    });
+    return [...values.entries()]
+        .map(([value, label]) => ({ value, label }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function applyToolbarState(state) {
+    const grid = document.querySelector('.grid');
+    const toolbar = document.querySelector('.dash-toolbar');
+    if (!grid || !toolbar) return;
+
+    const cards = [...grid.querySelectorAll('.card')];
+    const query = state.q.toLowerCase();
+    let visible = 0;
+
+    cards.forEach(card => {
+        const title = card.querySelector('.card-title')?.textContent.toLowerCase() || '';
+        const matches = (!query || title.includes(query))
+            && (!state.status || card.dataset.status.toLowerCase() === state.status)
+            && (!state.platform || card.dataset.platform.toLowerCase() === state.platform);
+
+        card.hidden = !matches;
+        if (matches) visible++;
+    });
+
+    // appendChild sposta i nodi esistenti: i listener restano attaccati
+    cards.sort(CARD_SORTERS[state.sort]).forEach(card => grid.appendChild(card));
+
+    const emptyEl = toolbar.querySelector('.dash-toolbar-empty');
+    emptyEl.hidden = cards.length === 0 || visible > 0;
+}
+
+function syncToolbarControls(state) {
+    const toolbar = document.querySelector('.dash-toolbar');
+    const cards = [...document.querySelectorAll('.grid .card')];
+
+    const search = toolbar.querySelector('[name="q"]');
+    search.value = state.q;
+    search.placeholder = t('toolbar.search');
+    search.setAttribute('aria-label', t('toolbar.searchLabel'));
+
+    const sort = toolbar.querySelector('[name="sort"]');
+    sort.querySelectorAll('option').forEach(option => { option.textContent = t(TOOLBAR_SORT_KEYS[option.value]); });
+    sort.value = state.sort;
+
+    fillFilterOptions(toolbar.querySelector('[name="status"]'), distinctCardValues(cards, 'status'), t('toolbar.allStatuses'), state.status);
+    fillFilterOptions(toolbar.querySelector('[name="platform"]'), distinctCardValues(cards, 'platform'), t('toolbar.allPlatforms'), state.platform);
+    toolbar.querySelector('.dash-toolbar-empty').textContent = t('toolbar.noMatches');
+}
+
+function initDashboardToolbar() {
+    const toolbar = document.querySelector('.dash-toolbar');
+    if (!toolbar) return;
+
+    let state = readToolbarState();
+
+    const update = () => {
+        state = {
+            q: toolbar.querySelector('[name="q"]').value.trim(),
+            status: toolbar.querySelector('[name="status"]').value,
+            platform: toolbar.querySelector('[name="platform"]').value,
+            sort: toolbar.querySelector('[name="sort"]').value
+        };
+        writeToolbarState(state);
+        applyToolbarState(state);
+    };
+
+    toolbar.addEventListener('input', update);
+    toolbar.addEventListener('submit', (e) => e.preventDefault());
+
+    // Card nuove (primo caricamento o refresh dell'inventario): riapplica filtri e ordinamento
+    window.addEventListener('dashboard:cards-rendered', () => {
+        syncToolbarControls(state);
+        applyToolbarState(state);
+    });
+
+    // Senza card (griglia vuota o in errore) nessuno ridisegna la toolbar al posto nostro
+    window.addEventListener('i18n:change', () => syncToolbarControls(state));
+
+    window.addEventListener('popstate', () => {
+        state = readToolbarState();
+        syncToolbarControls(state);
+        applyToolbarState(state);
+    });
+
+    syncToolbarControls(state);
+    applyToolbarState(state);
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDashboardToolbar);
+} else {
+    initDashboardToolbar();
+}
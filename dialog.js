@@ -0,0 +1,119 @@
+/**
+ * Accessible dialog
+ * Turns a modal overlay into a proper dialog: role="dialog" labelled by its title, focus moved inside
+ * on open and given back to the opener on close, Tab kept inside, Escape and backdrop click to close,
+ * page scroll locked while it's open. The overlay is shown with the "active" class (see .account-modal).
+ */
+
+const DIALOG_FOCUSABLE = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+    'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+class AccessibleDialog {
+    /**
+     * overlay: the backdrop element; options: { content (dialog box selector), labelledBy (title id), onClose }
+     */
+    constructor(overlay, { content = null, labelledBy = null, onClose = null } = {}) {
+        this.overlay = overlay;
+        this.box = (content && overlay.querySelector(content)) || overlay;
+        this.onClose = onClose;
+        this.opener = null;
+        this.scrollLock = null;
+
+        this.box.setAttribute('role', 'dialog');
+        this.box.setAttribute('aria-modal', 'true');
+        this.box.setAttribute('tabindex', '-1');
+        if (labelledBy) this.box.setAttribute('aria-labelledby', labelledBy);
+        this.overlay.setAttribute('aria-hidden', 'true');
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+    }
+
+    get isOpen() {
+        return this.overlay.classList.contains('active');
+    }
+
+    // opener: l'elemento che riceve di nuovo il focus alla chiusura
+    open(opener = document.activeElement) {
+        if (this.isOpen) return;
+
+        this.opener = opener;
+        this.overlay.classList.add('active');
+        this.overlay.removeAttribute('aria-hidden');
+        this.lockScroll();
+        document.addEventListener('keydown', this.handleKeydown);
+
+        // Il contenuto arriva dopo (quota, inventario): il focus va sul dialog, che viene letto con il suo titolo
+        this.box.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.overlay.classList.remove('active');
+        this.overlay.setAttribute('aria-hidden', 'true');
+        this.unlockScroll();
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.opener && document.contains(this.opener)) this.opener.focus();
+        this.opener = null;
+        if (this.onClose) this.onClose();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    // Tab e Shift+Tab girano tra gli elementi del dialog senza uscirne
+    trapFocus(e) {
+        const focusable = [...this.box.querySelectorAll(DIALOG_FOCUSABLE)]
+            .filter(el => !el.hidden && el.getClientRects().length > 0);
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.box.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.box || !this.box.contains(active))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !this.box.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Come per il buco nero: niente scroll sotto il dialog, con il padding al posto della scrollbar
+    lockScroll() {
+        const root = document.documentElement;
+        const scrollbarWidth = window.innerWidth - root.clientWidth;
+        this.scrollLock = { overflow: root.style.overflow, paddingRight: document.body.style.paddingRight };
+
+        root.style.overflow = 'hidden';
+        if (scrollbarWidth > 0) {
+            const padding = parseFloat(window.getComputedStyle(document.body).paddingRight) || 0;
+            document.body.style.paddingRight = (padding + scrollbarWidth) + 'px';
+        }
+    }
+
+    unlockScroll() {
+        if (!this.scrollLock) return;
+        document.documentElement.style.overflow = this.scrollLock.overflow;
+        document.body.style.paddingRight = this.scrollLock.paddingRight;
+        this.scrollLock = null;
+    }
+}
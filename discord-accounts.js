@@ -1,294 +1,441 @@
 /**
- * Discord Accounts System with Google Sheets Integration
- * Fetches account information from Google Sheets in real-time
- * Added: Limit of 1 game per day per user (localStorage)
+ * Discord Accounts System
+ * Fetches account information from the configured inventory provider (see inventory.js)
+ * Added: Limit of 1 game per day per user (enforced by the claim service)
  * Added: Extra accounts via redeem code
+ * Added: Only members of the Discord server can claim (booster roles get extra claims)
+ * Added: Texts in English and Italian (see i18n.js)
+ * Added: Reserve-and-confirm claims: the modal shows the one account held for the user until they confirm it
  */
 
-// Google Sheets CSV URL
-const GOOGLE_SHEETS_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vRZjkI5CWCmpnphVeJRajq3A7ngqLVLGR-IoC_QfDkPHCDFOtpdQs6l294IvGBZWsOnCwTyxO0R1b8G/pub?output=csv';
+const DISCORD_INVITE_URL = 'https://discord.gg/4RgAwBa7gA';
 
-// Cache for sheet data
-let sheetsDataCache = null;
-let cacheTimestamp = 0;
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// Gli unici URL che nel modal diventano link (vedi safe-render.js)
+const MODAL_ALLOWED_LINKS = [DISCORD_INVITE_URL];
 
-// ============ DAILY GAME LIMIT ============
+// Prenotazione mostrata nel modal ({ id, game, account, expiresAt, status }), null se non c'è
+let modalReservation = null;
+let reservationTimer = null;
+// Il dialog accessibile attorno a #accountModal (vedi dialog.js), null nelle pagine senza modal
+let accountDialog = null;
 
-// Restituisce la data di oggi in formato YYYY-MM-DD
-function getToday() {
-    const now = new Date();
-    return now.getFullYear() + "-" + (now.getMonth()+1).toString().padStart(2,'0') + "-" + now.getDate().toString().padStart(2,'0');
-}
+// ============ CLAIM LIMIT ============
+// La quota e il suo reset sono gestiti dal claim service (claim-service.js): qui leggiamo solo l'ultima risposta
 
 // Controlla se l'utente ha già preso un gioco oggi
 function hasTakenGameToday() {
-    const today = getToday();
-    const takenGames = JSON.parse(localStorage.getItem('takenGames') || '{}');
-    return takenGames.date === today;
+    return !!claimQuota && claimQuota.used > 0;
 }
 
-// Restituisce il gioco preso oggi
+// Restituisce l'ultimo gioco preso oggi
 function getTakenGame() {
-    const takenGames = JSON.parse(localStorage.getItem('takenGames') || '{}');
-    return takenGames.game || null;
+    if (!claimQuota || claimQuota.claims.length === 0) return null;
+    return claimQuota.claims[claimQuota.claims.length - 1].game;
 }
 
-// Salva il gioco preso oggi
-function saveGameToday(gameName) {
-    const today = getToday();
-    const takenGames = JSON.parse(localStorage.getItem('takenGames') || '{}');
-
-    localStorage.setItem('takenGames', JSON.stringify({ date: today, game: gameName }));
+// L'utente è nel nostro server Discord (membership letta al login dalla funzione discord-auth)
+function isGuildMember() {
+    return !!claimQuota && claimQuota.isMember !== false;
 }
 
 // Controlla se l'utente può prendere un account oggi
 function canTakeGame() {
-    const today = getToday();
-    const takenGames = JSON.parse(localStorage.getItem('takenGames') || '{}');
-    const extraAccounts = parseInt(localStorage.getItem('extraAccounts') || '0', 10);
-    return takenGames.date !== today || extraAccounts > 0;
+    return isGuildMember() && claimQuota.remaining > 0;
 }
 
-// Usa un account extra
-function useExtraAccount() {
-    const extraAccounts = parseInt(localStorage.getItem('extraAccounts') || '0', 10);
-    if(extraAccounts > 0) {
-        localStorage.setItem('extraAccounts', extraAccounts - 1);
-        return true;
-    }
-    return false;
+// Tempo mancante al reset della quota (l'orario lo decide il server, vedi server/quota-schedule.js);
+// null senza reset (rolling senza claim nella finestra): il prossimo claim è già disponibile
+function getNextAccountTime() {
+    if (!claimQuota || !claimQuota.resetsAt) return null;
+    return formatCountdown(new Date(claimQuota.resetsAt) - new Date());
 }
 
-// Calcola tempo mancante per il prossimo account
-function getNextAccountTime() {
-    const now = new Date();
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0,0,0,0);
-    const diff = tomorrow - now;
-    const hours = Math.floor(diff / (1000*60*60));
-    const minutes = Math.floor((diff % (1000*60*60)) / (1000*60));
-    const seconds = Math.floor((diff % (1000*60)) / 1000);
-    return `${hours}h ${minutes}m ${seconds}s`;
+// Avviso persistente del limite, aggiornato dal countdown finché c'è
+function showClaimLimitNotice() {
+    const time = getNextAccountTime();
+    const message = time === null
+        ? t('claim.limitNoReset', { game: getTakenGame() })
+        : t('claim.limit', { game: getTakenGame(), time });
+    notify.warning(message, {
+        id: 'claim-limit',
+        persistent: true
+    });
 }
 
-// Timer display
-function initTimer() {
-    const timerEl = document.createElement('div');
-    timerEl.id = 'nextAccountTimer';
-    timerEl.style.position = 'fixed';
-    timerEl.style.bottom = '20px';
-    timerEl.style.left = '20px';
-    timerEl.style.background = 'rgba(27,111,255,0.2)';
-    timerEl.style.color = '#00eaff';
-    timerEl.style.padding = '10px 15px';
-    timerEl.style.borderRadius = '10px';
-    timerEl.style.fontFamily = 'Arial';
-    timerEl.style.fontWeight = 'bold';
-    timerEl.style.zIndex = '500';
-    document.body.appendChild(timerEl);
-
-    setInterval(() => {
-        if(hasTakenGameToday() && parseInt(localStorage.getItem('extraAccounts')||'0',10)===0) {
-            timerEl.textContent = `Next account in: ${getNextAccountTime()}`;
-        } else {
-            timerEl.textContent = 'You can claim an account now!';
-        }
-    }, 1000);
+// Chiamata dal countdown a ogni secondo: l'avviso del limite segue il tempo rimasto e sparisce al reset
+function refreshClaimLimitNotice() {
+    if (!notifications.visible.has('claim-limit')) return;
+    if (hasTakenGameToday() && !canTakeGame()) showClaimLimitNotice();
+    else dismissNotification('claim-limit');
 }
 
-/**
- * Fetch and parse CSV data from Google Sheets
- */
-async function fetchSheetsData() {
-    const now = Date.now();
-    if (sheetsDataCache && (now - cacheTimestamp) < CACHE_DURATION) {
-        return sheetsDataCache;
-    }
+function formatAccountText(text) {
+    return text.replace(/\\n/g, '\n');
+}
 
-    try {
-        const response = await fetch(GOOGLE_SHEETS_URL);
-        if (!response.ok) throw new Error('Failed to fetch Google Sheets data');
+// ============ MODAL RENDERING ============
+// Il contenuto del modal è costruito con nodi DOM: testo del foglio e nomi dei giochi non passano mai da innerHTML
 
-        const csvText = await response.text();
-        const data = parseCSV(csvText);
+// Un box .account-message (type: 'loading' | 'error' | 'success' | 'instructions') con titolo in grassetto opzionale
+function createAccountMessage(type, text, title = null) {
+    const children = title ? [buildElement('strong', { text: title }), '\n'] : [];
+    children.push(renderLinkedText(text, MODAL_ALLOWED_LINKS));
+    return buildElement('div', { className: `account-message ${type}` }, children);
+}
 
-        sheetsDataCache = data;
-        cacheTimestamp = now;
+function showModalMessage(containerEl, type, text) {
+    setChildren(containerEl, createAccountMessage(type, text));
+}
 
-        return data;
-    } catch (error) {
-        console.error('Error fetching Google Sheets:', error);
-        return null;
+// Il box dell'account con il bottone "Copy"
+function createAccountItem(account, title) {
+    const text = formatAccountText(account);
+    const item = createAccountMessage('success', text, title);
+    item.appendChild(createCopyButton(text, t('copy.label', { n: 1 })));
+    return item;
+}
+
+// Prenotazione in attesa: l'account, il tempo rimasto e i bottoni per confermare o rinunciare
+function renderReservation(containerEl) {
+    const reservation = modalReservation;
+    if (reservation.status === 'confirmed') {
+        renderClaimedAccount(containerEl, reservation.account);
+        return;
     }
+
+    const timerEl = buildElement('div', { className: 'reservation-timer', attrs: { role: 'timer' } });
+    const confirmBtn = buildElement('button', { className: 'account-action primary', text: t('reservation.confirm'), attrs: { type: 'button' } });
+    confirmBtn.addEventListener('click', confirmModalReservation);
+    const releaseBtn = buildElement('button', { className: 'account-action', text: t('reservation.release'), attrs: { type: 'button' } });
+    releaseBtn.addEventListener('click', closeAccountModal);
+
+    setChildren(containerEl,
+        createAccountItem(reservation.account, t('reservation.title')),
+        timerEl,
+        buildElement('div', { className: 'account-actions reservation-actions' }, [confirmBtn, releaseBtn]));
+    updateReservationTimer();
 }
 
-/**
- * Parse CSV text into structured data
- */
-function parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) return null;
+function renderClaimedAccount(containerEl, account) {
+    const item = createAccountItem(account, t('reservation.claimed'));
 
-    const headers = parseCSVLine(lines[0]);
-    const data = {};
+    // Il claim è già confermato: restano solo i consigli e il Discord per l'assistenza
+    const instructions = createAccountMessage('instructions', t('reservation.doneText') + '\n\n', t('reservation.doneTitle'));
+    instructions.appendChild(buildElement('strong', { text: t('reservation.doneHelp') }));
 
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        if (values.length === 0) continue;
+    const discordBtn = buildElement('button', { className: 'account-action', text: t('modal.openDiscord'), attrs: { type: 'button' } });
+    discordBtn.addEventListener('click', openDiscordInvite);
+    instructions.appendChild(buildElement('div', { className: 'account-actions' }, [discordBtn]));
 
-        const gameName = values[0];
-        if (!gameName) continue;
+    setChildren(containerEl, item, instructions);
+}
 
-        const accounts = values.slice(1).filter(acc => acc && acc.trim());
-        if (accounts.length > 0) data[gameName] = accounts;
-    }
+// Bottone "Copy" di un account: per due secondi mostra "Copied!" (o l'errore)
+function createCopyButton(text, label) {
+    const btn = buildElement('button', {
+        className: 'account-action account-copy',
+        text: t('copy.button'),
+        attrs: { type: 'button', 'aria-label': label }
+    });
 
-    return data;
+    btn.addEventListener('click', async () => {
+        const copied = await copyToClipboard(text);
+        btn.textContent = copied ? t('copy.done') : t('copy.failed');
+        btn.classList.toggle('copied', copied);
+        if (copied) notify.success(t('copy.notice'), { duration: 2000 });
+        else notify.error(t('copy.error'));
+
+        clearTimeout(btn.resetTimer);
+        btn.resetTimer = setTimeout(() => {
+            btn.textContent = t('copy.button');
+            btn.classList.remove('copied');
+        }, 2000);
+    });
+    return btn;
 }
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') inQuotes = !inQuotes;
-        else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else current += char;
+// Clipboard API dove c'è (https o localhost), altrimenti il vecchio execCommand
+async function copyToClipboard(text) {
+    try {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        }
+
+        const textarea = buildElement('textarea', { attrs: { readonly: '' } });
+        textarea.value = text;
+        textarea.className = 'sr-only';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        return copied;
+    } catch (error) {
+        console.error('Error copying to clipboard:', error);
+        return false;
     }
-    result.push(current.trim());
-    return result;
 }
 
-function formatAccountText(text) {
-    return text.replace(/\\n/g, '\n');
+function openDiscordInvite() {
+    window.open(DISCORD_INVITE_URL, '_blank', 'noopener');
 }
 
 // Modal system
 function initAccountModal() {
     const modal = document.getElementById('accountModal');
-    const closeBtn = document.querySelector('.account-modal-close');
 
+    // Escape, click sul fondo, focus e scroll sono gestiti dal dialog
     if (modal) {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) closeAccountModal();
+        accountDialog = new AccessibleDialog(modal, {
+            content: '.account-modal-content',
+            labelledBy: 'accountGameName',
+            // Chiudere il modal senza confermare rilascia la prenotazione
+            onClose: () => releaseModalReservation()
         });
     }
 
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal && modal.classList.contains('active')) {
-            closeAccountModal();
-        }
+    const refreshBtn = document.querySelector('.account-data-refresh');
+    if (refreshBtn) refreshBtn.addEventListener('click', refreshAccountData);
+
+    window.addEventListener('inventory:updated', updateDataStatus);
+    window.addEventListener('inventory:error', updateDataStatus);
+
+    // Cambio lingua: ridisegna contatori, bottoni e la prenotazione aperta (il timer si aggiorna da solo)
+    window.addEventListener('i18n:change', () => {
+        updateGetAccountButtons();
+        updateDataStatus();
+        if (modalReservation) renderReservation(document.getElementById('accountMessageContainer'));
     });
 
+    // Pagina chiusa con una prenotazione aperta: la restituiamo subito invece di aspettare la scadenza
+    window.addEventListener('pagehide', () => releaseModalReservation({ keepalive: true }));
+
+    // Un solo countdown, in #timerBox: si aggiorna da solo a ogni risposta del claim service
+    window.addEventListener('quota:updated', updateGetAccountButtons);
+    const timerBox = document.getElementById('timerBox');
+    if (timerBox) new QuotaCountdown(timerBox, { onTick: refreshClaimLimitNotice });
+
     attachGetAccountListeners();
-    initTimer();
+    fetchClaimQuota();
 }
 
+// Può essere richiamata dopo aver ridisegnato le card: ogni bottone riceve il listener una sola volta
 function attachGetAccountListeners() {
-    const getAccountBtns = document.querySelectorAll('.get-btn');
+    const getAccountBtns = document.querySelectorAll('.get-btn:not([data-account-listener])');
 
     getAccountBtns.forEach(btn => {
+        btn.dataset.accountListener = 'true';
         btn.addEventListener('click', (e) => {
             const cardTitle = btn.closest('.card')?.querySelector('.card-title');
             if (cardTitle && window.location.pathname.includes('dashboard')) {
                 e.preventDefault();
                 const gameName = cardTitle.textContent.trim();
-                showAccountModal(gameName);
+                showAccountModal(gameName, btn);
             }
         });
     });
 
-    // Disable buttons if no accounts available
-    getAccountBtns.forEach(btn => {
+    updateGetAccountButtons();
+}
+
+// Disable buttons if no accounts available
+function updateGetAccountButtons() {
+    if (!claimQuotaChecked) return;
+
+    document.querySelectorAll('.get-btn').forEach(btn => {
         const textEl = btn.querySelector('.btn-text');
-        if(!canTakeGame()) {
+        // Le card esaurite restano disabilitate (vedi dashboard-cards.js)
+        if (btn.closest('.card')?.classList.contains('out-of-stock')) return;
+
+        if (!claimQuota) {
+            // Quota non verificabile: il click apre comunque il modal che spiega il problema
+            if(textEl) textEl.textContent = t('button.unverified');
+            btn.style.pointerEvents = 'auto';
+            btn.style.opacity = '0.7';
+        } else if (!isGuildMember()) {
+            // Il click apre il modal con il link di invito
+            if(textEl) textEl.textContent = t('button.membersOnly');
+            btn.style.pointerEvents = 'auto';
+            btn.style.opacity = '0.7';
+        } else if(!canTakeGame()) {
             btn.style.pointerEvents = 'none';
             btn.style.opacity = '0.5';
-            if(textEl) textEl.textContent = 'Taken Today';
+            if(textEl) textEl.textContent = t('button.taken');
         } else if(textEl) {
-            textEl.textContent = 'Get Account';
+            textEl.textContent = t('button.get');
             btn.style.pointerEvents = 'auto';
             btn.style.opacity = '1';
         }
     });
 }
 
-function showAccountModal(gameName) {
+// opener: il bottone che ha aperto il modal, riprende il focus alla chiusura
+async function showAccountModal(gameName, opener = document.activeElement) {
     const modal = document.getElementById('accountModal');
     const titleEl = document.getElementById('accountGameName');
     const containerEl = document.getElementById('accountMessageContainer');
 
     if (!modal) return;
 
-    if(!canTakeGame()) {
-        containerEl.innerHTML = `<div class="account-message error">
-            You already claimed a game today: "${getTakenGame()}".<br>
-            Come back tomorrow for a new game.
-        </div>`;
-        titleEl.textContent = "Limit reached!";
-        modal.classList.add('active');
+    titleEl.textContent = gameName;
+    showModalMessage(containerEl, 'loading', t('modal.reserving'));
+    accountDialog.open(opener);
+
+    const claim = await reserveAccount(gameName);
+
+    // Claim rifiutato: il modal si chiude e il motivo arriva come notifica
+    if (claim.reason === 'unverified') {
+        closeAccountModal();
+        notify.error(t('claim.unverified'));
         return;
     }
 
-    if(hasTakenGameToday()) useExtraAccount();
-    saveGameToday(gameName);
+    if (claim.reason === 'not_member') {
+        closeAccountModal();
+        notify.warning(t('claim.notMember'), {
+            id: 'claim-not-member',
+            persistent: true,
+            action: { label: t('claim.joinDiscord'), onClick: openDiscordInvite }
+        });
+        return;
+    }
 
-    titleEl.textContent = gameName;
-    containerEl.innerHTML = '<div class="account-message loading">Loading account information...</div>';
+    if (claim.reason === 'limit') {
+        closeAccountModal();
+        showClaimLimitNotice();
+        return;
+    }
 
-    modal.classList.add('active');
+    // Esaurito nel frattempo: le card si aggiornano con lo stock vero
+    if (claim.reason === 'out_of_stock') {
+        showModalMessage(containerEl, 'error', t('modal.noAccounts', { game: gameName }));
+        refreshStock();
+        return;
+    }
 
-    setTimeout(() => {
-        fetchAccountData(gameName, containerEl);
-    }, 500);
+    // Gioco rimosso dall'inventario: le card lo tolgono con il prossimo aggiornamento
+    if (claim.reason === 'unknown_game') {
+        showModalMessage(containerEl, 'error', t('modal.unknownGame', { game: gameName }));
+        refreshStock();
+        return;
+    }
+
+    // Modal chiuso mentre aspettavamo la risposta: la prenotazione non serve più
+    if (!accountDialog.isOpen) {
+        releaseReservation(claim.reservation.id);
+        return;
+    }
+
+    modalReservation = claim.reservation;
+    renderReservation(containerEl);
+    clearInterval(reservationTimer);
+    reservationTimer = setInterval(updateReservationTimer, 1000);
+    refreshStock();
 }
 
-async function fetchAccountData(gameName, containerEl) {
-    try {
-        const sheetsData = await fetchSheetsData();
+// Tempo rimasto alla prenotazione; allo scadere il server la rilascia e rimborsa la quota
+function updateReservationTimer() {
+    const timerEl = document.querySelector('#accountMessageContainer .reservation-timer');
+    if (!modalReservation || modalReservation.status !== 'pending') return;
 
-        if (!sheetsData) {
-            containerEl.innerHTML = '<div class="account-message error">Error loading data from Google Sheets</div>';
-            return;
-        }
+    const timeLeft = new Date(modalReservation.expiresAt) - Date.now();
+    if (timeLeft <= 0) {
+        endModalReservation('expired');
+        return;
+    }
+    if (timerEl) timerEl.textContent = t('reservation.expiresIn', { time: formatCountdown(timeLeft) });
+}
 
-        const accounts = sheetsData[gameName];
+async function confirmModalReservation() {
+    const containerEl = document.getElementById('accountMessageContainer');
+    const reservation = modalReservation;
+    if (!reservation || reservation.status !== 'pending') return;
+
+    containerEl.querySelectorAll('.reservation-actions button').forEach(btn => { btn.disabled = true; });
+    const result = await confirmReservation(reservation.id);
+    if (modalReservation !== reservation) return;
+
+    if (result.ok) {
+        clearInterval(reservationTimer);
+        modalReservation = result.reservation;
+        renderReservation(containerEl);
+        // Claim confermato: festeggia dal titolo del modal (se la pagina carica celebration.js)
+        if (typeof celebrate === 'function') celebrate('burst', { origin: document.getElementById('accountGameName') });
+        return;
+    }
 
-        if (!accounts || accounts.length === 0) {
-            containerEl.innerHTML = `<div class="account-message error">No available accounts for ${gameName}</div>`;
-            return;
-        }
+    // Servizio non raggiungibile: la prenotazione è ancora valida, si può riprovare
+    if (result.reason === 'unverified') {
+        notify.error(t('reservation.confirmError'));
+        containerEl.querySelectorAll('.reservation-actions button').forEach(btn => { btn.disabled = false; });
+        return;
+    }
 
-        let html = '';
-        accounts.forEach((account, index) => {
-            const formattedAccount = formatAccountText(account);
-            html += `<div class="account-message success"><strong>Available Account ${index + 1}:</strong>\n${formattedAccount}</div>`;
-        });
+    endModalReservation(result.reason);
+}
+
+// La prenotazione è finita senza claim (reason: 'expired' | 'released' | 'failed' | 'not_found')
+function endModalReservation(reason) {
+    clearInterval(reservationTimer);
+    modalReservation = null;
+
+    const key = ['expired', 'released'].includes(reason) ? `reservation.${reason}` : 'reservation.failed';
+    showModalMessage(document.getElementById('accountMessageContainer'), 'error', t(key));
+    fetchClaimQuota();
+    refreshStock();
+}
+
+// Rinuncia alla prenotazione ancora aperta (modal chiuso o pagina lasciata)
+function releaseModalReservation({ keepalive = false } = {}) {
+    clearInterval(reservationTimer);
+    const reservation = modalReservation;
+    modalReservation = null;
+    if (!reservation || reservation.status !== 'pending') return;
+
+    releaseReservation(reservation.id, { keepalive }).then(refreshStock);
+}
+
+// Lo stock delle card cambia a ogni prenotazione: chiediamo l'inventario di nuovo
+function refreshStock() {
+    getInventoryProvider().refresh().catch(() => {});
+}
+
+// Indicatore "data as of HH:MM" sotto il titolo del modal
+function updateDataStatus() {
+    const statusEl = document.getElementById('accountDataStatus');
+    if (!statusEl) return;
+
+    const provider = getInventoryProvider();
+    const timeEl = statusEl.querySelector('.account-data-time');
+    const refreshBtn = statusEl.querySelector('.account-data-refresh');
+
+    statusEl.hidden = !provider.cache;
+    if (!provider.cache) return;
 
-        html += `<div class="account-message" style="border-left-color: #1b6fff; margin-top: 20px;">
-            <strong>To claim an account:</strong>\n
-            1. Visit the Discord server: https://discord.gg/4RgAwBa7gA\n
-            2. React or comment on the account post\n
-            3. Admin will send you the credentials\n\n
-            <strong>Account will be yours immediately!</strong>
-        </div>`;
+    let text = t('modal.dataAsOf', { time: formatTime(provider.cache.fetchedAt) });
+    if (provider.inFlight) text += ' · ' + t('modal.refreshing');
+    else if (provider.lastError) text += ' · ' + t('modal.refreshFailed');
 
-        containerEl.innerHTML = html;
+    timeEl.textContent = text;
+    refreshBtn.disabled = !!provider.inFlight;
+}
+
+// Ricarica l'inventario a mano dal bottone del modal
+async function refreshAccountData() {
+    const provider = getInventoryProvider();
+    const refreshing = provider.refresh();
+    updateDataStatus();
+
+    try {
+        await refreshing;
     } catch (error) {
-        console.error('Error fetching account data:', error);
-        containerEl.innerHTML = '<div class="account-message error">Error loading accounts. Please try again.</div>';
+        console.error('Error refreshing inventory:', error);
+        updateDataStatus();
     }
 }
 
 function closeAccountModal() {
-    const modal = document.getElementById('accountModal');
-    if (modal) modal.classList.remove('active');
+    if (accountDialog) accountDialog.close();
 }
 
 // Initialize when DOM is ready
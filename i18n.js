@@ -0,0 +1,599 @@
+/**
+ * Internationalization
+ * t(key, params) looks the message up in the catalog of the current locale (English as fallback).
+ * Messages interpolate {name} placeholders; a message can be { one, other, ... } and is picked
+ * with the locale's plural rules from params.count. formatCountdown / formatTime follow the locale too.
+ * The language switcher in the .topbar saves the choice in localStorage and fires "i18n:change".
+ */
+
+const I18N_PREF_KEY = 'metalDrops.prefs.locale';
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_LOCALE_NAMES = { en: 'English', it: 'Italiano' };
+
+const I18N_CATALOGS = {
+    en: {
+        'language.label': 'Language',
+        'nav.label': 'Main',
+        'nav.home': 'Home',
+        'nav.dashboard': 'Dashboard',
+        'nav.code': 'Code',
+        'nav.history': 'History',
+        'nav.admin': 'Admin',
+        'shell.powerButton': 'Power by Exotic',
+
+        'dashboard.title': 'Available Accounts',
+        'effects.on': 'Effects: on',
+        'effects.off': 'Effects: off',
+        'profile.logout': 'Logout',
+        'notification.dismiss': 'Dismiss notification',
+        'blackHole.title': 'Black hole mode ({shortcut})',
+        'blackHole.titleNoShortcut': 'Black hole mode',
+
+        'quota.unverified': "Can't verify your quota right now",
+        'quota.joinServer': 'Join our Discord server to claim accounts',
+        'quota.nextIn': 'Next account in: {time}',
+        'quota.ready': 'You can claim an account now!',
+        'quota.resetsIn': 'Quota resets in: {time}',
+        'quota.usage.utc': '{used} claimed today · {remaining} left',
+        'quota.usage.timezone': '{used} claimed today · {remaining} left',
+        'quota.usage.rolling': '{used} claimed in the last 24h · {remaining} left',
+        'quota.usage.weekly': '{used} claimed this week · {remaining} left',
+
+        'button.unverified': "Can't verify quota",
+        'button.membersOnly': 'Members only',
+        'button.taken': 'Limit reached',
+        'button.get': 'Get Account',
+
+        'claim.limit': 'You already used your claims (last game: "{game}"). Come back in {time} for a new game.',
+        'claim.limitNoReset': 'You already used your claims (last game: "{game}"). A new claim is available now: try again.',
+        'claim.unverified': "We can't verify your quota right now, so no account can be claimed. Make sure you're logged in with Discord and try again in a few minutes.",
+        'claim.notMember': "Accounts are reserved for members of our Discord server, and your Discord account isn't in it yet. Join, then log out and log in again to claim.",
+        'claim.joinDiscord': 'Join Discord',
+
+        'dashboard.loading': 'Loading drops...',
+        'dashboard.loadError': "Couldn't load the drops.",
+        'dashboard.empty': 'No drops available right now.',
+        'dashboard.retry': 'Retry',
+
+        'card.status.available': 'Available',
+        'card.status.working': 'Working',
+        'card.status.outOfStock': 'Out of stock',
+        'card.stock': {
+            one: '{count} in stock',
+            other: '{count} in stock'
+        },
+
+        'toolbar.search': 'Search games...',
+        'toolbar.searchLabel': 'Search games',
+        'toolbar.allStatuses': 'All statuses',
+        'toolbar.allPlatforms': 'All platforms',
+        'toolbar.sort.name': 'Name',
+        'toolbar.sort.stock': 'Stock level',
+        'toolbar.sort.updated': 'Recently updated',
+        'toolbar.noMatches': 'No games match your filters.',
+        'toolbar.statusLabel': 'Filter by status',
+        'toolbar.platformLabel': 'Filter by platform',
+        'toolbar.sortLabel': 'Sort games',
+
+        'history.title': 'Claim History',
+        'history.column.date': 'Date',
+        'history.column.game': 'Game',
+        'history.column.source': 'Source',
+        'history.column.outcome': 'Outcome',
+        'history.previous': 'Previous',
+        'history.next': 'Next',
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Export JSON',
+        'history.filter.game': 'Filter by game...',
+        'history.filter.gameLabel': 'Filter by game',
+        'history.filter.sourceLabel': 'Filter by source',
+        'history.filter.outcomeLabel': 'Filter by outcome',
+        'history.loading': 'Loading history...',
+        'history.loadError': "Can't load your history right now. Please try again later.",
+        'history.loggedOut': 'Log in with Discord to see your claim history.',
+        'history.exportError': "Can't export your history right now.",
+        'history.empty': 'No claims yet.',
+        'history.pageInfo': {
+            one: 'Page {page} of {pages} · {count} entry',
+            other: 'Page {page} of {pages} · {count} entries'
+        },
+        'history.filter.allSources': 'All sources',
+        'history.filter.allOutcomes': 'All outcomes',
+        'history.source.daily': 'Daily',
+        'history.source.bonus': 'Booster code',
+        'history.outcome.claimed': 'Claimed',
+        'history.outcome.claimedShort': 'Claimed',
+        'history.outcome.rejected': 'Rejected (limit reached)',
+        'history.outcome.rejectedShort': 'Rejected',
+        'history.outcome.notMember': 'Rejected (not in the Discord server)',
+        'history.outcome.notMemberShort': 'Not a member',
+        'history.outcome.outOfStock': 'Rejected (out of stock)',
+        'history.outcome.outOfStockShort': 'Out of stock',
+        'history.outcome.released': 'Reservation released',
+        'history.outcome.releasedShort': 'Reservation released',
+        'history.outcome.expired': 'Reservation expired',
+        'history.outcome.expiredShort': 'Reservation expired',
+        'history.outcome.failed': 'Reservation failed (account no longer available)',
+        'history.outcome.failedShort': 'Reservation failed',
+
+        'modal.checkingQuota': 'Checking your quota...',
+        'modal.reserving': 'Reserving an account for you...',
+        'modal.noAccounts': 'No available accounts for {game}',
+        'modal.unknownGame': '{game} is no longer available',
+        'modal.openDiscord': 'Open Discord',
+        'modal.dataAsOf': 'Data as of {time}',
+        'modal.refreshing': 'refreshing...',
+        'modal.refreshFailed': "couldn't refresh",
+        'modal.refresh': 'Refresh',
+        'modal.close': 'Close',
+
+        'reservation.title': 'Reserved for you:',
+        'reservation.expiresIn': 'Held for you for {time}. Confirm to make it yours.',
+        'reservation.confirm': 'Confirm claim',
+        'reservation.release': 'Release',
+        'reservation.claimed': 'Your account:',
+        'reservation.doneTitle': 'Claim confirmed',
+        'reservation.doneText': "This account is yours now. Copy the credentials and keep them somewhere safe: they won't be shown again once you close this window.",
+        'reservation.doneHelp': 'Something wrong with the account? Ask the staff on our Discord server.',
+        'reservation.confirmError': "Couldn't confirm your claim right now, please try again.",
+        'reservation.expired': 'Your reservation expired: the account went back to the pool and your claim was refunded.',
+        'reservation.released': 'This reservation was released (maybe from another tab) and your claim was refunded.',
+        'reservation.failed': "This account isn't available anymore, so your claim was refunded. Try again to get another one.",
+
+        'copy.button': 'Copy',
+        'copy.label': 'Copy account {n}',
+        'copy.done': 'Copied!',
+        'copy.failed': "Couldn't copy",
+        'copy.notice': 'Account copied to clipboard',
+        'copy.error': "Couldn't copy the account, please select it and copy it by hand.",
+
+        'redeem.empty': 'Please enter a code.',
+        'redeem.loggedOut': 'Log in with Discord to redeem a code.',
+        'redeem.title': 'Redeem Your Code',
+        'redeem.placeholder': 'Enter code here',
+        'redeem.button': 'Redeem',
+        'redeem.invalid': 'Code "{code}" is invalid!',
+        'redeem.expired': 'Code "{code}" has expired.',
+        'redeem.alreadyRedeemed': 'You already redeemed "{code}".',
+        'redeem.usedUp': 'Code "{code}" has no uses left.',
+        'redeem.unreachable': "Can't reach the redeem service, please try again later.",
+        'redeem.success': {
+            one: 'Code redeemed! +{count} bonus account added.',
+            other: 'Code redeemed! +{count} bonus accounts added.'
+        },
+
+        'admin.title': 'Admin Console',
+        'admin.games': 'Games',
+        'admin.reload': 'Refresh',
+        'admin.period.label': 'Stats period',
+        'admin.period.days': {
+            one: 'Last day',
+            other: 'Last {count} days'
+        },
+        'admin.column.game': 'Game',
+        'admin.column.tag': 'Tag',
+        'admin.column.status': 'Status',
+        'admin.column.stock': 'Stock',
+        'admin.column.claims': 'Claims',
+        'admin.column.rejected': 'Rejected',
+        'admin.column.claimsPerDay': 'Claims per day',
+        'admin.column.stockOverTime': 'Stock over time',
+        'admin.column.account': 'Account',
+        'admin.column.added': 'Added',
+        'admin.field.tag': 'Tag',
+        'admin.field.status': 'Status',
+        'admin.field.platform': 'Platform',
+        'admin.field.region': 'Region',
+        'admin.field.notes': 'Notes',
+        'admin.status.working': 'Working',
+        'admin.status.outOfStock': 'Out of stock',
+        'admin.entry.active': 'Active',
+        'admin.entry.retired': 'Retired',
+        'admin.entry.claimed': 'Claimed',
+        'admin.entry.reserved': 'Reserved',
+        'admin.held.reserved': {
+            one: '{count} reserved',
+            other: '{count} reserved'
+        },
+        'admin.held.retired': {
+            one: '{count} retired',
+            other: '{count} retired'
+        },
+        'admin.chart.claims': 'Claims per day for {game}, {period}: {values}',
+        'admin.chart.stock': 'Stock for {game}, {period}: {values}',
+        'admin.noGames': 'No games yet.',
+        'admin.noAccounts': 'No accounts for this game.',
+        'admin.accountLabel': 'Account {n}',
+        'admin.manage': 'Manage',
+        'admin.save': 'Save',
+        'admin.retire': 'Retire',
+        'admin.restore': 'Restore',
+        'admin.closeEditor': 'Close',
+        'admin.saveGame': 'Save game',
+        'admin.newGame.placeholder': 'New game name...',
+        'admin.newGame.label': 'New game name',
+        'admin.newGame.submit': 'Add game',
+        'admin.addAccounts.label': 'Add accounts (one per line)',
+        'admin.addAccounts.submit': 'Add accounts',
+        'admin.import.title': 'Bulk import',
+        'admin.import.help': 'Paste a sheet export (CSV, one column per account) or an inventory JSON file',
+        'admin.import.file': 'Import file',
+        'admin.import.submit': 'Import',
+        'admin.loading': 'Loading inventory...',
+        'admin.loadError': "Can't load the inventory right now: {error}",
+        'admin.requestFailed': 'Admin request failed ({status})',
+        'admin.accountSaved': 'Account saved',
+        'admin.accountRetired': 'Account retired',
+        'admin.accountRestored': 'Account restored',
+        'admin.gameAdded': 'Game "{name}" added',
+        'admin.gameSaved': 'Game saved',
+        'admin.gamesCreated': {
+            one: '{count} new game',
+            other: '{count} new games'
+        },
+        'admin.accountsAdded': {
+            one: '{count} account added',
+            other: '{count} accounts added'
+        },
+        'admin.accountsSkipped': {
+            one: '{count} already listed',
+            other: '{count} already listed'
+        },
+        'admin.imported': 'Imported: {details}',
+        'admin.importError': "Can't read the import: {error}",
+        'admin.importEmpty': 'Nothing to import: no game rows found.'
+    },
+
+    it: {
+        'language.label': 'Lingua',
+        'nav.label': 'Principale',
+        'nav.home': 'Home',
+        'nav.dashboard': 'Dashboard',
+        'nav.code': 'Codici',
+        'nav.history': 'Storico',
+        'nav.admin': 'Admin',
+        'shell.powerButton': 'Creato da Exotic',
+
+        'dashboard.title': 'Account disponibili',
+        'effects.on': 'Effetti: attivi',
+        'effects.off': 'Effetti: spenti',
+        'profile.logout': 'Esci',
+        'notification.dismiss': 'Chiudi notifica',
+        'blackHole.title': 'Modalità buco nero ({shortcut})',
+        'blackHole.titleNoShortcut': 'Modalità buco nero',
+
+        'quota.unverified': 'Non riusciamo a verificare la tua quota al momento',
+        'quota.joinServer': 'Entra nel nostro server Discord per ottenere account',
+        'quota.nextIn': 'Prossimo account tra: {time}',
+        'quota.ready': 'Puoi prendere un account adesso!',
+        'quota.resetsIn': 'La quota si azzera tra: {time}',
+        'quota.usage.utc': '{used} presi oggi · {remaining} rimasti',
+        'quota.usage.timezone': '{used} presi oggi · {remaining} rimasti',
+        'quota.usage.rolling': '{used} presi nelle ultime 24h · {remaining} rimasti',
+        'quota.usage.weekly': '{used} presi questa settimana · {remaining} rimasti',
+
+        'button.unverified': 'Quota non verificabile',
+        'button.membersOnly': 'Solo membri',
+        'button.taken': 'Limite raggiunto',
+        'button.get': 'Prendi account',
+
+        'claim.limit': 'Hai già usato i tuoi claim (ultimo gioco: "{game}"). Torna tra {time} per un nuovo gioco.',
+        'claim.limitNoReset': 'Hai già usato i tuoi claim (ultimo gioco: "{game}"). Un nuovo claim è già disponibile: riprova.',
+        'claim.unverified': 'Non riusciamo a verificare la tua quota, quindi non puoi prendere account. Controlla di aver fatto il login con Discord e riprova tra qualche minuto.',
+        'claim.notMember': 'Gli account sono riservati ai membri del nostro server Discord e il tuo account Discord non ne fa ancora parte. Entra, poi esci e rifai il login per prendere un account.',
+        'claim.joinDiscord': 'Entra su Discord',
+
+        'dashboard.loading': 'Caricamento dei drop...',
+        'dashboard.loadError': 'Non riusciamo a caricare i drop.',
+        'dashboard.empty': 'Nessun drop disponibile al momento.',
+        'dashboard.retry': 'Riprova',
+
+        'card.status.available': 'Disponibile',
+        'card.status.working': 'Funzionante',
+        'card.status.outOfStock': 'Esaurito',
+        'card.stock': {
+            one: '{count} disponibile',
+            other: '{count} disponibili'
+        },
+
+        'toolbar.search': 'Cerca giochi...',
+        'toolbar.searchLabel': 'Cerca giochi',
+        'toolbar.allStatuses': 'Tutti gli stati',
+        'toolbar.allPlatforms': 'Tutte le piattaforme',
+        'toolbar.sort.name': 'Nome',
+        'toolbar.sort.stock': 'Disponibilità',
+        'toolbar.sort.updated': 'Aggiornati di recente',
+        'toolbar.noMatches': 'Nessun gioco corrisponde ai filtri.',
+        'toolbar.statusLabel': 'Filtra per stato',
+        'toolbar.platformLabel': 'Filtra per piattaforma',
+        'toolbar.sortLabel': 'Ordina i giochi',
+
+        'history.title': 'Storico dei claim',
+        'history.column.date': 'Data',
+        'history.column.game': 'Gioco',
+        'history.column.source': 'Origine',
+        'history.column.outcome': 'Esito',
+        'history.previous': 'Precedente',
+        'history.next': 'Successiva',
+        'history.exportCsv': 'Esporta CSV',
+        'history.exportJson': 'Esporta JSON',
+        'history.filter.game': 'Filtra per gioco...',
+        'history.filter.gameLabel': 'Filtra per gioco',
+        'history.filter.sourceLabel': 'Filtra per origine',
+        'history.filter.outcomeLabel': 'Filtra per esito',
+        'history.loading': 'Caricamento dello storico...',
+        'history.loadError': 'Non riusciamo a caricare il tuo storico al momento. Riprova più tardi.',
+        'history.loggedOut': 'Fai il login con Discord per vedere lo storico dei tuoi claim.',
+        'history.exportError': 'Non riusciamo a esportare il tuo storico al momento.',
+        'history.empty': 'Nessun claim per ora.',
+        'history.pageInfo': {
+            one: 'Pagina {page} di {pages} · {count} voce',
+            other: 'Pagina {page} di {pages} · {count} voci'
+        },
+        'history.filter.allSources': 'Tutte le origini',
+        'history.filter.allOutcomes': 'Tutti gli esiti',
+        'history.source.daily': 'Giornaliero',
+        'history.source.bonus': 'Codice booster',
+        'history.outcome.claimed': 'Preso',
+        'history.outcome.claimedShort': 'Preso',
+        'history.outcome.rejected': 'Rifiutato (limite raggiunto)',
+        'history.outcome.rejectedShort': 'Rifiutato',
+        'history.outcome.notMember': 'Rifiutato (non sei nel server Discord)',
+        'history.outcome.notMemberShort': 'Non membro',
+        'history.outcome.outOfStock': 'Rifiutato (esaurito)',
+        'history.outcome.outOfStockShort': 'Esaurito',
+        'history.outcome.released': 'Prenotazione annullata',
+        'history.outcome.releasedShort': 'Prenotazione annullata',
+        'history.outcome.expired': 'Prenotazione scaduta',
+        'history.outcome.expiredShort': 'Prenotazione scaduta',
+        'history.outcome.failed': 'Prenotazione fallita (account non più disponibile)',
+        'history.outcome.failedShort': 'Prenotazione fallita',
+
+        'modal.checkingQuota': 'Verifica della quota...',
+        'modal.reserving': 'Stiamo prenotando un account per te...',
+        'modal.noAccounts': 'Nessun account disponibile per {game}',
+        'modal.unknownGame': '{game} non è più disponibile',
+        'modal.openDiscord': 'Apri Discord',
+        'modal.dataAsOf': 'Dati delle {time}',
+        'modal.refreshing': 'aggiornamento...',
+        'modal.refreshFailed': 'aggiornamento non riuscito',
+        'modal.refresh': 'Aggiorna',
+        'modal.close': 'Chiudi',
+
+        'reservation.title': 'Prenotato per te:',
+        'reservation.expiresIn': 'Tenuto per te ancora {time}. Conferma per averlo.',
+        'reservation.confirm': 'Conferma',
+        'reservation.release': 'Rinuncia',
+        'reservation.claimed': 'Il tuo account:',
+        'reservation.doneTitle': 'Claim confermato',
+        'reservation.doneText': 'Questo account ora è tuo. Copia le credenziali e tienile al sicuro: chiusa questa finestra non le vedrai più.',
+        'reservation.doneHelp': "Qualcosa non va con l'account? Chiedi allo staff sul nostro server Discord.",
+        'reservation.confirmError': 'Non riusciamo a confermare adesso, riprova.',
+        'reservation.expired': "La prenotazione è scaduta: l'account è tornato disponibile e il claim ti è stato restituito.",
+        'reservation.released': "Questa prenotazione è stata annullata (forse da un'altra scheda) e il claim ti è stato restituito.",
+        'reservation.failed': "Questo account non è più disponibile, quindi il claim ti è stato restituito. Riprova per averne un altro.",
+
+        'copy.button': 'Copia',
+        'copy.label': 'Copia account {n}',
+        'copy.done': 'Copiato!',
+        'copy.failed': 'Copia non riuscita',
+        'copy.notice': 'Account copiato negli appunti',
+        'copy.error': "Non riusciamo a copiare l'account, selezionalo e copialo a mano.",
+
+        'redeem.empty': 'Inserisci un codice.',
+        'redeem.loggedOut': 'Fai il login con Discord per riscattare un codice.',
+        'redeem.title': 'Riscatta il tuo codice',
+        'redeem.placeholder': 'Inserisci il codice',
+        'redeem.button': 'Riscatta',
+        'redeem.invalid': 'Il codice "{code}" non è valido!',
+        'redeem.expired': 'Il codice "{code}" è scaduto.',
+        'redeem.alreadyRedeemed': 'Hai già riscattato "{code}".',
+        'redeem.usedUp': 'Il codice "{code}" non ha più utilizzi.',
+        'redeem.unreachable': 'Il servizio dei codici non risponde, riprova più tardi.',
+        'redeem.success': {
+            one: 'Codice riscattato! +{count} account bonus aggiunto.',
+            other: 'Codice riscattato! +{count} account bonus aggiunti.'
+        },
+
+        'admin.title': 'Console admin',
+        'admin.games': 'Giochi',
+        'admin.reload': 'Aggiorna',
+        'admin.period.label': 'Periodo delle statistiche',
+        'admin.period.days': {
+            one: 'Ultimo giorno',
+            other: 'Ultimi {count} giorni'
+        },
+        'admin.column.game': 'Gioco',
+        'admin.column.tag': 'Tag',
+        'admin.column.status': 'Stato',
+        'admin.column.stock': 'Stock',
+        'admin.column.claims': 'Claim',
+        'admin.column.rejected': 'Rifiutati',
+        'admin.column.claimsPerDay': 'Claim al giorno',
+        'admin.column.stockOverTime': 'Stock nel tempo',
+        'admin.column.account': 'Account',
+        'admin.column.added': 'Aggiunto',
+        'admin.field.tag': 'Tag',
+        'admin.field.status': 'Stato',
+        'admin.field.platform': 'Piattaforma',
+        'admin.field.region': 'Regione',
+        'admin.field.notes': 'Note',
+        'admin.status.working': 'Funzionante',
+        'admin.status.outOfStock': 'Esaurito',
+        'admin.entry.active': 'Attivo',
+        'admin.entry.retired': 'Ritirato',
+        'admin.entry.claimed': 'Consegnato',
+        'admin.entry.reserved': 'Prenotato',
+        'admin.held.reserved': {
+            one: '{count} prenotato',
+            other: '{count} prenotati'
+        },
+        'admin.held.retired': {
+            one: '{count} ritirato',
+            other: '{count} ritirati'
+        },
+        'admin.chart.claims': 'Claim al giorno per {game}, {period}: {values}',
+        'admin.chart.stock': 'Stock di {game}, {period}: {values}',
+        'admin.noGames': 'Ancora nessun gioco.',
+        'admin.noAccounts': 'Nessun account per questo gioco.',
+        'admin.accountLabel': 'Account {n}',
+        'admin.manage': 'Gestisci',
+        'admin.save': 'Salva',
+        'admin.retire': 'Ritira',
+        'admin.restore': 'Ripristina',
+        'admin.closeEditor': 'Chiudi',
+        'admin.saveGame': 'Salva gioco',
+        'admin.newGame.placeholder': 'Nome del nuovo gioco...',
+        'admin.newGame.label': 'Nome del nuovo gioco',
+        'admin.newGame.submit': 'Aggiungi gioco',
+        'admin.addAccounts.label': 'Aggiungi account (uno per riga)',
+        'admin.addAccounts.submit': 'Aggiungi account',
+        'admin.import.title': 'Importazione in blocco',
+        'admin.import.help': "Incolla un export del foglio (CSV, una colonna per account) o un file JSON dell'inventario",
+        'admin.import.file': 'File da importare',
+        'admin.import.submit': 'Importa',
+        'admin.loading': "Caricamento dell'inventario...",
+        'admin.loadError': "Non riusciamo a caricare l'inventario: {error}",
+        'admin.requestFailed': 'Richiesta admin non riuscita ({status})',
+        'admin.accountSaved': 'Account salvato',
+        'admin.accountRetired': 'Account ritirato',
+        'admin.accountRestored': 'Account ripristinato',
+        'admin.gameAdded': 'Gioco "{name}" aggiunto',
+        'admin.gameSaved': 'Gioco salvato',
+        'admin.gamesCreated': {
+            one: '{count} gioco nuovo',
+            other: '{count} giochi nuovi'
+        },
+        'admin.accountsAdded': {
+            one: '{count} account aggiunto',
+            other: '{count} account aggiunti'
+        },
+        'admin.accountsSkipped': {
+            one: '{count} già presente',
+            other: '{count} già presenti'
+        },
+        'admin.imported': 'Importato: {details}',
+        'admin.importError': "Non riusciamo a leggere l'importazione: {error}",
+        'admin.importEmpty': 'Niente da importare: nessuna riga di gioco trovata.'
+    }
+};
+
+// Preferenza salvata, altrimenti la lingua del browser se abbiamo il catalogo
+function detectLocale() {
+    const saved = localStorage.getItem(I18N_PREF_KEY);
+    if (I18N_CATALOGS[saved]) return saved;
+
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    return I18N_CATALOGS[browser] ? browser : I18N_DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+// Intl.PluralRules e Intl.NumberFormat costano: uno per lingua (e unità)
+const i18nFormatters = new Map();
+
+function getI18nFormatter(key, create) {
+    const cacheKey = `${currentLocale}:${key}`;
+    if (!i18nFormatters.has(cacheKey)) i18nFormatters.set(cacheKey, create(currentLocale));
+    return i18nFormatters.get(cacheKey);
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Change the language, save it and tell the page ("i18n:change", detail { locale }).
+ */
+function setLocale(locale, { save = true } = {}) {
+    if (!I18N_CATALOGS[locale] || locale === currentLocale) return;
+
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+    if (save) localStorage.setItem(I18N_PREF_KEY, locale);
+    window.dispatchEvent(new CustomEvent('i18n:change', { detail: { locale } }));
+}
+
+/**
+ * The message for key in the current locale, with {placeholders} replaced by params.
+ * Plural messages are picked with params.count. Missing keys fall back to English, then to the key itself.
+ */
+function t(key, params = {}) {
+    let message = I18N_CATALOGS[currentLocale][key] ?? I18N_CATALOGS[I18N_DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.warn(`Missing translation "${key}"`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const rules = getI18nFormatter('plural', locale => new Intl.PluralRules(locale));
+        message = message[rules.select(params.count ?? 0)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Countdown like "3h 5m 2s" (Italian: "3h 5min 2s") for a duration in ms.
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const parts = [
+        ['hour', Math.floor(totalSeconds / 3600)],
+        ['minute', Math.floor((totalSeconds % 3600) / 60)],
+        ['second', totalSeconds % 60]
+    ];
+
+    return parts.map(([unit, value]) => {
+        const format = getI18nFormatter(unit, locale => new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'narrow' }));
+        return format.format(value);
+    }).join(' ');
+}
+
+// Ora (HH:MM) nel formato della lingua attuale
+function formatTime(date) {
+    return new Date(date).toLocaleTimeString(currentLocale, { hour: '2-digit', minute: '2-digit' });
+}
+
+// ============ LANGUAGE SWITCHER ============
+
+function initLanguageSwitcher() {
+    const select = document.createElement('select');
+    select.className = 'language-switcher';
+
+    Object.entries(I18N_LOCALE_NAMES).forEach(([locale, name]) => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+
+    const update = () => {
+        select.value = currentLocale;
+        select.setAttribute('aria-label', t('language.label'));
+    };
+    select.addEventListener('change', () => setLocale(select.value));
+    window.addEventListener('i18n:change', update);
+    update();
+
+    // Nella topbar se c'è, altrimenti in basso a sinistra (sopra il bottone degli effetti)
+    const navRight = document.querySelector('.topbar .nav-right');
+    if (navRight) {
+        navRight.insertBefore(select, navRight.firstChild);
+    } else {
+        select.classList.add('floating');
+        document.body.appendChild(select);
+    }
+}
+
+// Un'altra scheda ha cambiato lingua
+window.addEventListener('storage', (e) => {
+    if (e.key === I18N_PREF_KEY && I18N_CATALOGS[e.newValue]) setLocale(e.newValue, { save: false });
+});
+
+document.documentElement.lang = currentLocale;
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLanguageSwitcher);
+} else {
+    initLanguageSwitcher();
+}
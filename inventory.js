@@ -0,0 +1,256 @@
+/**
+ * Inventory providers
+ * Every drop source (published Google Sheet, static JSON file, REST endpoint, in-memory mock)
+ * resolves to the same shape: { games: { [name]: { name, accounts, status, region, ... } }, errors }.
+ * The REST backend doesn't list the accounts (they are handed out one by one through claim reservations):
+ * its games have accounts: [] and a stock count instead.
+ * The page picks one with METAL_DROPS_CONFIG.inventory (see config.js).
+ * Every provider keeps a versioned copy in localStorage so pages can show the last known inventory immediately.
+ */
+
+// Colonne del foglio che descrivono il gioco invece di contenere un account
+const SHEET_META_COLUMNS = ['status', 'region', 'platform', 'notes', 'tag', 'updated'];
+const SHEET_GAME_COLUMNS = ['game', 'name', 'title'];
+
+const INVENTORY_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// 2: il backend non manda più gli account (solo stock), le cache vecchie ne hanno la lista completa
+const INVENTORY_CACHE_VERSION = 2;
+const INVENTORY_RETRY_DELAYS = [500, 1500, 4000]; // backoff tra un tentativo e l'altro
+
+class InventoryProvider {
+    constructor(options = {}) {
+        this.options = options;
+        this.cache = null;
+        this.inFlight = null;
+        this.lastError = null;
+        this.storageKey = `metalDrops.inventory:${options.type}:${options.url || 'memory'}`;
+    }
+
+    /**
+     * Load the whole inventory from the source. Implemented by every provider.
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * Stale-while-revalidate: returns the last known inventory right away (from memory or localStorage)
+     * and refreshes it in the background once it's older than INVENTORY_CACHE_DURATION.
+     * Only waits for the network when nothing is cached yet.
+     */
+    async getInventory() {
+        const cached = this.cache || this.readPersisted();
+        if (!cached) return this.refresh();
+
+        this.cache = cached;
+        if (Date.now() - cached.fetchedAt >= INVENTORY_CACHE_DURATION) {
+            this.refresh().catch(() => {});
+        }
+        return cached;
+    }
+
+    /**
+     * Fetch the inventory now, retrying with backoff.
+     * Concurrent calls share the same request. Fires 'inventory:updated' on window when done.
+     */
+    refresh() {
+        if (this.inFlight) return this.inFlight;
+
+        this.inFlight = this.loadWithRetry()
+            .then(inventory => {
+                inventory.fetchedAt = Date.now();
+                inventory.errors.forEach(error => console.warn(`Inventory row ${error.line} skipped: ${error.message}`));
+
+                this.cache = inventory;
+                this.lastError = null;
+                this.writePersisted(inventory);
+                window.dispatchEvent(new CustomEvent('inventory:updated', { detail: inventory }));
+                return inventory;
+            })
+            .catch(error => {
+                this.lastError = error;
+                window.dispatchEvent(new CustomEvent('inventory:error', { detail: error }));
+                throw error;
+            })
+            .finally(() => {
+                this.inFlight = null;
+            });
+
+        return this.inFlight;
+    }
+
+    async loadWithRetry() {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.load();
+            } catch (error) {
+                if (attempt >= INVENTORY_RETRY_DELAYS.length) throw error;
+                await new Promise(resolve => setTimeout(resolve, INVENTORY_RETRY_DELAYS[attempt]));
+            }
+        }
+    }
+
+    readPersisted() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved) return null;
+            // Cache scritta da una versione precedente: la buttiamo
+            if (saved.version !== INVENTORY_CACHE_VERSION) {
+                localStorage.removeItem(this.storageKey);
+                return null;
+            }
+            return saved.inventory;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writePersisted(inventory) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: INVENTORY_CACHE_VERSION, inventory }));
+        } catch (error) {
+            console.warn('Could not persist the inventory cache:', error);
+        }
+    }
+
+    /**
+     * A single game, or null if the source doesn't list it
+     */
+    async getGame(gameName) {
+        const inventory = await this.getInventory();
+        return inventory.games[gameName] || null;
+    }
+}
+
+// Foglio Google pubblicato come CSV
+class SheetInventoryProvider extends InventoryProvider {
+    async load() {
+        const response = await fetch(this.options.url);
+        if (!response.ok) throw new Error('Failed to fetch Google Sheets data');
+
+        return buildInventory(await parseCSVResponse(response));
+    }
+}
+
+// File JSON statico (es. fixtures/inventory.json)
+class JsonInventoryProvider extends InventoryProvider {
+    async load() {
+        const response = await fetch(this.options.url);
+        if (!response.ok) throw new Error(`Failed to fetch ${this.options.url}`);
+
+        return normalizeInventory(await response.json());
+    }
+}
+
+// Endpoint REST che restituisce l'inventario completo (es. /api/inventory del dev server)
+class RestInventoryProvider extends InventoryProvider {
+    async load() {
+        const response = await fetch(this.options.url);
+        if (!response.ok) throw new Error('Failed to fetch inventory');
+
+        return normalizeInventory(await response.json());
+    }
+}
+
+// Mock in memoria, per sviluppo e test: niente copia in localStorage
+class MemoryInventoryProvider extends InventoryProvider {
+    async load() {
+        return normalizeInventory({ games: this.options.games || {} });
+    }
+
+    readPersisted() {
+        return null;
+    }
+
+    writePersisted() {}
+}
+
+const INVENTORY_PROVIDERS = {
+    sheet: SheetInventoryProvider,
+    json: JsonInventoryProvider,
+    rest: RestInventoryProvider,
+    memory: MemoryInventoryProvider
+};
+
+function createInventoryProvider(config) {
+    const Provider = INVENTORY_PROVIDERS[config.type];
+    if (!Provider) throw new Error(`Unknown inventory provider "${config.type}"`);
+    return new Provider(config);
+}
+
+let inventoryProvider = null;
+
+/**
+ * The provider chosen by the page config
+ */
+function getInventoryProvider() {
+    if (!inventoryProvider) {
+        inventoryProvider = createInventoryProvider(window.METAL_DROPS_CONFIG.inventory);
+        purgeInventoryCaches(inventoryProvider.storageKey);
+    }
+    return inventoryProvider;
+}
+
+// Cache di altre sorgenti (es. il vecchio foglio pubblico con tutti gli account) o di versioni precedenti
+function purgeInventoryCaches(currentKey) {
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('metalDrops.inventory:') && key !== currentKey)
+        .forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * Group parsed sheet records by game.
+ * The game column is "Game"/"Name"/"Title" (or the first column), the known meta columns
+ * (status, region, platform, notes, tag, updated) describe the game and every other column holds an account.
+ * A game can span several rows: their accounts are merged.
+ */
+function buildInventory({ headers, records, errors }) {
+    const gameColumn = headers.find(header => SHEET_GAME_COLUMNS.includes(header.toLowerCase())) || headers[0];
+    const games = {};
+
+    records.forEach(record => {
+        const gameName = (record[gameColumn] || '').trim();
+        if (!gameName) return;
+
+        const game = games[gameName] || (games[gameName] = { name: gameName, accounts: [] });
+
+        headers.forEach(header => {
+            if (header === gameColumn) return;
+            const value = (record[header] || '').trim();
+            if (!value) return;
+
+            const key = header.toLowerCase();
+            if (SHEET_META_COLUMNS.includes(key)) {
+                if (!game[key]) game[key] = value;
+            } else {
+                game.accounts.push(value);
+            }
+        });
+    });
+
+    return { games, errors };
+}
+
+/**
+ * Accepts { games: { [name]: game } }, { games: [game] } or a plain array of games
+ */
+function normalizeInventory(data) {
+    const list = Array.isArray(data) ? data : data.games || {};
+    const entries = Array.isArray(list) ? list.map(game => [game.name, game]) : Object.entries(list);
+    const games = {};
+
+    entries.forEach(([name, game]) => {
+        if (name) games[name] = normalizeGame(name, game);
+    });
+
+    return { games, errors: data.errors || [] };
+}
+
+function normalizeGame(name, game) {
+    // Un gioco può essere anche solo la lista dei suoi account
+    const data = Array.isArray(game) ? { accounts: game } : game || {};
+    return Object.assign({}, data, {
+        name,
+        accounts: (data.accounts || []).filter(account => account && String(account).trim())
+    });
+}
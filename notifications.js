@@ -0,0 +1,181 @@
+/**
+ * Notifications
+ * Toasts for every message shown to the user: notify(message, { type, duration, persistent, id, action }).
+ * Types are success, error, info and warning. Up to NOTIFICATION_MAX_VISIBLE toasts stack at the top
+ * of the page, the others wait in a queue. Every message is also read out by screen readers
+ * through an aria-live region (assertive for errors).
+ */
+
+const NOTIFICATION_TYPES = ['success', 'error', 'info', 'warning'];
+const NOTIFICATION_DURATION = 5000; // ms
+const NOTIFICATION_MAX_VISIBLE = 4;
+
+// Toast visibili (id -> notifica) e in attesa
+const notifications = {
+    visible: new Map(),
+    queue: [],
+    nextId: 1,
+    stack: null,
+    politeRegion: null,
+    assertiveRegion: null
+};
+
+// Contenitore dei toast e regioni aria-live, creati al primo messaggio
+function getNotificationStack() {
+    if (notifications.stack) return notifications.stack;
+
+    const stack = document.createElement('div');
+    stack.className = 'notification-stack';
+    document.body.appendChild(stack);
+
+    const createRegion = (politeness) => {
+        const region = document.createElement('div');
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        if (politeness === 'assertive') region.setAttribute('role', 'alert');
+        else region.setAttribute('role', 'status');
+        document.body.appendChild(region);
+        return region;
+    };
+
+    notifications.stack = stack;
+    notifications.politeRegion = createRegion('polite');
+    notifications.assertiveRegion = createRegion('assertive');
+    return stack;
+}
+
+function announceNotification(notification) {
+    const region = notification.type === 'error' ? notifications.assertiveRegion : notifications.politeRegion;
+    // Svuotata e riscritta poco dopo: gli screen reader rileggono anche un testo uguale al precedente
+    region.textContent = '';
+    setTimeout(() => { region.textContent = notification.message; }, 50);
+}
+
+/**
+ * Show a notification. options:
+ * - type: 'success' | 'error' | 'info' | 'warning' (default 'info')
+ * - duration: ms before it closes by itself (default NOTIFICATION_DURATION)
+ * - persistent: stays until dismissed or dismissNotification(id)
+ * - id: a notification with the same id is updated instead of stacking a new one
+ * - action: { label, onClick } adds a button; the toast closes after the click
+ * Returns the notification id.
+ */
+function notify(message, { type = 'info', duration = NOTIFICATION_DURATION, persistent = false, id = null, action = null } = {}) {
+    if (!NOTIFICATION_TYPES.includes(type)) type = 'info';
+
+    const notification = { id: id || `notification-${notifications.nextId++}`, message, type, duration, persistent, action };
+
+    const existing = notifications.visible.get(notification.id);
+    if (existing) {
+        updateNotification(existing, notification);
+        return notification.id;
+    }
+
+    const queued = notifications.queue.findIndex(item => item.id === notification.id);
+    if (queued >= 0) {
+        notifications.queue[queued] = notification;
+    } else if (notifications.visible.size >= NOTIFICATION_MAX_VISIBLE) {
+        notifications.queue.push(notification);
+    } else {
+        mountNotification(notification);
+    }
+    return notification.id;
+}
+
+NOTIFICATION_TYPES.forEach(type => {
+    notify[type] = (message, options = {}) => notify(message, Object.assign({}, options, { type }));
+});
+
+function mountNotification(notification) {
+    const stack = getNotificationStack();
+
+    const el = document.createElement('div');
+    el.className = 'notification';
+
+    const text = document.createElement('div');
+    text.className = 'notification-message';
+    el.appendChild(text);
+
+    const actionBtn = document.createElement('button');
+    actionBtn.type = 'button';
+    actionBtn.className = 'notification-action';
+    actionBtn.addEventListener('click', () => {
+        const action = notification.action;
+        dismissNotification(notification.id);
+        if (action) action.onClick();
+    });
+    el.appendChild(actionBtn);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'notification-close';
+    closeBtn.setAttribute('aria-label', t('notification.dismiss'));
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => dismissNotification(notification.id));
+    el.appendChild(closeBtn);
+
+    // Il timer si ferma mentre il mouse o il focus sono sul toast
+    el.addEventListener('mouseenter', () => clearTimeout(notification.timer));
+    el.addEventListener('mouseleave', () => scheduleNotificationDismiss(notification));
+    el.addEventListener('focusin', () => clearTimeout(notification.timer));
+    el.addEventListener('focusout', () => scheduleNotificationDismiss(notification));
+
+    notification.el = el;
+    notifications.visible.set(notification.id, notification);
+    stack.appendChild(el);
+    renderNotification(notification);
+}
+
+// Aggiorna testo, tipo e azione di un toast già visibile (es. un avviso persistente con il countdown)
+function updateNotification(current, next) {
+    // Un avviso persistente che cambia solo il testo (il countdown) non viene riletto a ogni aggiornamento
+    const changed = current.type !== next.type || (!next.persistent && current.message !== next.message);
+    Object.assign(current, {
+        message: next.message,
+        type: next.type,
+        duration: next.duration,
+        persistent: next.persistent,
+        action: next.action
+    });
+    renderNotification(current, changed);
+}
+
+function renderNotification(notification, announce = true) {
+    const { el } = notification;
+    el.className = `notification ${notification.type}`;
+    el.querySelector('.notification-message').textContent = notification.message;
+
+    const actionBtn = el.querySelector('.notification-action');
+    actionBtn.hidden = !notification.action;
+    actionBtn.textContent = notification.action ? notification.action.label : '';
+
+    if (announce) announceNotification(notification);
+    scheduleNotificationDismiss(notification);
+}
+
+function scheduleNotificationDismiss(notification) {
+    clearTimeout(notification.timer);
+    if (notification.persistent || !notifications.visible.has(notification.id)) return;
+    notification.timer = setTimeout(() => dismissNotification(notification.id), notification.duration);
+}
+
+/**
+ * Close a notification (visible or queued). The next queued one takes its place.
+ */
+function dismissNotification(id) {
+    notifications.queue = notifications.queue.filter(item => item.id !== id);
+
+    const notification = notifications.visible.get(id);
+    if (!notification) return;
+
+    clearTimeout(notification.timer);
+    notifications.visible.delete(id);
+    notification.el.classList.add('leaving');
+    setTimeout(() => notification.el.remove(), 200);
+
+    if (notifications.queue.length > 0) mountNotification(notifications.queue.shift());
+}
+
+window.metalDrops = window.metalDrops || {};
+window.metalDrops.notify = notify;
@@ -0,0 +1,103 @@
+/**
+ * Page shell
+ * The markup every page shares, rendered by one call right after <body>:
+ * - the .topbar with the nav (current page highlighted, admin link for admins) and the .discord-profile
+ *   widget that auth.js fills (the language switcher and effects toggle join it from i18n.js / animation.js)
+ * - the effects layer: mouse glow, background grid, snow canvas, black hole button and container,
+ *   picked up by animation.js, particles.js and black-hole.js
+ * Labels come from i18n.js (load it first) and follow "i18n:change", together with the page's own
+ * static text tagged with data-i18n (text), data-i18n-placeholder and data-i18n-aria-label (attributes):
+ *
+ *     <h1 class="dash-title" data-i18n="history.title">Claim History</h1>
+ *
+ *     <script>mountPageShell({ active: 'history' });</script>
+ */
+
+// Voci della topbar; id è quello da passare come "active", label la chiave di i18n.js
+const PAGE_SHELL_NAV = [
+    { id: 'home', href: 'index_home.html', label: 'nav.home' },
+    { id: 'dashboard', href: 'dashboard.html', label: 'nav.dashboard' },
+    { id: 'code', href: 'index_code.html', label: 'nav.code' },
+    { id: 'history', href: 'history.html', label: 'nav.history' },
+    // Mostrato da auth.js solo agli admin
+    { id: 'admin', href: 'admin.html', label: 'nav.admin', adminOnly: true }
+];
+
+// La voce della pagina attuale, ricavata dall'URL
+function detectActivePage() {
+    const file = window.location.pathname.split('/').pop();
+    const item = PAGE_SHELL_NAV.find(entry => entry.href === file);
+    return item ? item.id : null;
+}
+
+function renderPageShellNav(active) {
+    return PAGE_SHELL_NAV.map(item => {
+        const attrs = [`href="${item.href}"`, `class="nav-item${item.id === active ? ' active' : ''}"`, `data-nav="${item.id}"`];
+        if (item.id === active) attrs.push('aria-current="page"');
+        if (item.adminOnly) attrs.push('data-admin-only hidden');
+        return `<a ${attrs.join(' ')}>${t(item.label)}</a>`;
+    }).join('');
+}
+
+function renderPageShellTopbar(active) {
+    return `<header class="topbar">
+        <nav class="nav-left" aria-label="${t('nav.label')}">
+            <div class="logo">Metal drops</div>
+            ${renderPageShellNav(active)}
+        </nav>
+        <div class="nav-right">
+            <div class="discord-profile">
+                <div class="avatar"></div>
+                <div class="username"></div>
+            </div>
+        </div>
+    </header>`;
+}
+
+/**
+ * Render the shell where the calling script sits (at the start of <body> otherwise).
+ * options: { active: nav id (default: from the URL), topbar: false for pages without nav,
+ * background: false for pages that draw their own .background-grid }
+ * Call it during parsing, before the effect scripts look for their elements.
+ */
+function mountPageShell({ active = detectActivePage(), topbar = true, background = true } = {}) {
+    const parts = ['<div class="mouse-glow"></div>'];
+    if (topbar) parts.push(renderPageShellTopbar(active));
+    if (background) parts.push('<div class="background-grid page-grid"></div>');
+    parts.push(
+        '<canvas id="snow-canvas"></canvas>',
+        `<button class="power-by-exotic" type="button">${t('shell.powerButton')}</button>`,
+        '<div class="black-hole-container"><div class="black-hole"></div></div>'
+    );
+
+    const anchor = document.currentScript;
+    if (anchor && anchor.parentNode === document.body) {
+        anchor.insertAdjacentHTML('beforebegin', parts.join(''));
+    } else {
+        document.body.insertAdjacentHTML('afterbegin', parts.join(''));
+    }
+
+    // Il resto della pagina non è ancora stato letto: i testi statici si traducono a parsing finito
+    document.addEventListener('DOMContentLoaded', () => translateStaticText());
+    window.addEventListener('i18n:change', updatePageShellLabels);
+}
+
+// Solo i nodi segnati a mano: un testo che uno script riscrive da solo non va segnato
+function translateStaticText(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)));
+}
+
+// Cambio lingua: solo i testi, così i listener e lo stato messi da auth.js e black-hole.js restano
+function updatePageShellLabels() {
+    PAGE_SHELL_NAV.forEach(item => {
+        const link = document.querySelector(`.topbar [data-nav="${item.id}"]`);
+        if (link) link.textContent = t(item.label);
+    });
+    const nav = document.querySelector('.topbar .nav-left');
+    if (nav) nav.setAttribute('aria-label', t('nav.label'));
+    const powerBtn = document.querySelector('.power-by-exotic');
+    if (powerBtn) powerBtn.textContent = t('shell.powerButton');
+    translateStaticText();
+}
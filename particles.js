@@ -0,0 +1,319 @@
+/**
+ * Particle engine
+ * Draws particles on a canvas: emitters spawn them (count, shape, size, speed, color),
+ * forces move them (gravity, wind, drag, mouse attraction) and attractors pull them towards a point
+ * until they're swallowed (used by the black hole, see black-hole.js).
+ * Every page gets the snow engine on #snow-canvas as window.metalDrops.particles.
+ * Frames come from the shared scheduler (see animation.js): with reduced motion the particles drift slowly,
+ * with effects off the canvas is cleared, and the particle count follows the scheduler quality.
+ */
+
+// Forme disponibili: ognuna disegna la particella centrata in (0, 0), già ruotata
+const PARTICLE_SHAPES = {
+    diamond(ctx, p) {
+        ctx.moveTo(0, -p.r * 1.2);
+        ctx.lineTo(p.r * 0.5, 0);
+        ctx.lineTo(0, p.r * 1.2);
+        ctx.lineTo(-p.r * 0.5, 0);
+        ctx.closePath();
+    },
+    circle(ctx, p) {
+        ctx.arc(0, 0, p.r, 0, Math.PI * 2);
+    },
+    square(ctx, p) {
+        ctx.rect(-p.r / 2, -p.r / 2, p.r, p.r);
+    }
+};
+
+/**
+ * Force factories. A force is a function (particle, engine) that changes the particle velocity.
+ */
+const ParticleForces = {
+    gravity(strength = 0.01) {
+        return (p) => { p.vy += strength; };
+    },
+
+    wind(strength = 0.02) {
+        return (p) => { p.vx += strength; };
+    },
+
+    // Attrito: 1 = nessuno
+    drag(x = 0.99, y = 1) {
+        return (p) => {
+            p.vx *= x;
+            p.vy *= y;
+        };
+    },
+
+    // Attrazione verso il mouse, più ampia per le particelle grandi
+    mouse({ radius = 120, radiusPerSize = 6, strength = 0.9, verticalFactor = 0.4 } = {}) {
+        return (p, engine) => {
+            const pointer = engine.pointer;
+            if (!pointer.active) return;
+
+            const dx = pointer.x - p.x;
+            const dy = pointer.y - p.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const R = radius + p.r * radiusPerSize;
+            if (dist < R && dist > 0) {
+                const force = (1 - dist / R) * strength;
+                p.vx += (dx / dist) * force;
+                p.vy += (dy / dist) * force * verticalFactor;
+            }
+        };
+    }
+};
+
+const randomBetween = ([min, max]) => min + Math.random() * (max - min);
+
+class ParticleEngine {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.width = 0;
+        this.height = 0;
+        this.emitters = [];
+        this.attractors = [];
+        this.pointer = { x: -9999, y: -9999, active: false };
+        this.taskName = 'particles:' + (canvas.id || 'canvas');
+        this.motionScale = 1;
+        this.quality = 1;
+
+        window.addEventListener('resize', () => this.resize());
+        window.addEventListener('mousemove', (e) => {
+            this.pointer.x = e.clientX;
+            this.pointer.y = e.clientY;
+            this.pointer.active = true;
+        });
+        document.addEventListener('mouseleave', () => {
+            this.pointer.active = false;
+            this.pointer.x = -9999;
+            this.pointer.y = -9999;
+        });
+
+        window.addEventListener('animation:settings', () => this.applySettings());
+
+        this.resize();
+        this.applySettings();
+    }
+
+    /**
+     * Add an emitter. Ranges are [min, max]:
+     * { count?, density? (px² per particle), minCount?, shape, color ('r,g,b'), size, alpha, vx, vy, rotationSpeed, forces }
+     */
+    addEmitter(config) {
+        const emitter = Object.assign({
+            count: null,
+            density: 50000,
+            minCount: 80,
+            shape: 'diamond',
+            color: '255,255,255',
+            size: [4, 16],
+            alpha: [0.3, 1],
+            vx: [-0.15, 0.15],
+            vy: [0.3, 1.3],
+            rotationSpeed: [-0.04, 0.04],
+            forces: []
+        }, config, { particles: [] });
+
+        this.emitters.push(emitter);
+        this.fillEmitter(emitter);
+        return emitter;
+    }
+
+    removeEmitter(emitter) {
+        this.emitters = this.emitters.filter(item => item !== emitter);
+    }
+
+    fillEmitter(emitter) {
+        emitter.particles = [];
+        this.adjustCount(emitter);
+    }
+
+    // Porta l'emitter al numero di particelle previsto per la qualità attuale, senza toccare le altre
+    adjustCount(emitter) {
+        const fullCount = emitter.count || Math.max(emitter.minCount, Math.floor((this.width * this.height) / emitter.density));
+        const count = Math.ceil(fullCount * this.quality);
+
+        if (emitter.particles.length > count) emitter.particles.length = count;
+        while (emitter.particles.length < count) {
+            const p = { r: randomBetween(emitter.size), alpha: randomBetween(emitter.alpha) };
+            this.respawn(emitter, p);
+            p.y = Math.random() * this.height;
+            emitter.particles.push(p);
+        }
+    }
+
+    applySettings() {
+        const scheduler = window.metalDrops.scheduler;
+        this.motionScale = scheduler.motion === 'reduced' ? 0.2 : 1;
+        if (scheduler.motion === 'off') this.ctx.clearRect(0, 0, this.width, this.height);
+
+        if (scheduler.quality !== this.quality) {
+            this.quality = scheduler.quality;
+            this.emitters.forEach(emitter => this.adjustCount(emitter));
+        }
+    }
+
+    // Rimette la particella in cima (o in fondo se sale) con una velocità nuova
+    respawn(emitter, p) {
+        p.vx = randomBetween(emitter.vx);
+        p.vy = randomBetween(emitter.vy);
+        p.x = Math.random() * this.width;
+        p.y = p.vy >= 0 ? -10 : this.height + 10;
+        p.rotation = Math.random() * Math.PI * 2;
+        p.rotationSpeed = randomBetween(emitter.rotationSpeed);
+        p.absorbed = false;
+    }
+
+    /**
+     * Pull every particle towards (x, y). Particles closer than absorbRadius are swallowed
+     * and come back from their emitter when the attractor is removed.
+     * With a lensRadius the particles around it are drawn where a gravitational lens would show them.
+     * Returns the attractor: change its x, y, strength, swirl, absorbRadius or lensRadius at any time.
+     */
+    addAttractor({ x, y, strength = 0.4, swirl = 0.3, absorbRadius = 40, lensRadius = 0 }) {
+        const attractor = { x, y, strength, swirl, absorbRadius, lensRadius };
+        this.attractors.push(attractor);
+        return attractor;
+    }
+
+    removeAttractor(attractor) {
+        this.attractors = this.attractors.filter(item => item !== attractor);
+        if (this.attractors.length > 0) return;
+
+        this.emitters.forEach(emitter => {
+            emitter.particles.forEach(p => {
+                if (p.absorbed) this.respawn(emitter, p);
+            });
+        });
+    }
+
+    applyAttractors(p) {
+        this.attractors.forEach(attractor => {
+            if (p.absorbed) return;
+
+            const dx = attractor.x - p.x;
+            const dy = attractor.y - p.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            if (dist < attractor.absorbRadius) {
+                p.absorbed = true;
+                return;
+            }
+
+            // Spinta verso il centro più una componente tangenziale: le particelle ci cadono a spirale
+            p.vx += (dx / dist) * attractor.strength - (dy / dist) * attractor.strength * attractor.swirl;
+            p.vy += (dy / dist) * attractor.strength + (dx / dist) * attractor.strength * attractor.swirl;
+            p.vx *= 0.97;
+            p.vy *= 0.97;
+        });
+    }
+
+    /**
+     * Where the particle appears through the attractors' lenses: { x, y, angle, stretch }.
+     * Point lens: a particle at distance d shows up at (d + sqrt(d² + 4L²)) / 2, stretched along the ring.
+     */
+    lensedPosition(p) {
+        let view = { x: p.x, y: p.y, angle: 0, stretch: 1 };
+
+        this.attractors.forEach(attractor => {
+            const lens = attractor.lensRadius;
+            if (!lens) return;
+
+            const dx = view.x - attractor.x;
+            const dy = view.y - attractor.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist === 0 || dist > lens * 6) return;
+
+            const lensed = (dist + Math.sqrt(dist * dist + 4 * lens * lens)) / 2;
+            const factor = lensed / dist;
+            view = {
+                x: attractor.x + dx * factor,
+                y: attractor.y + dy * factor,
+                angle: Math.atan2(dy, dx),
+                stretch: Math.min(3, factor)
+            };
+        });
+
+        return view;
+    }
+
+    resize() {
+        this.width = this.canvas.width = window.innerWidth;
+        this.height = this.canvas.height = window.innerHeight;
+        this.emitters.forEach(emitter => this.fillEmitter(emitter));
+    }
+
+    step() {
+        const { ctx, width, height } = this;
+        ctx.clearRect(0, 0, width, height);
+
+        this.emitters.forEach(emitter => {
+            const drawShape = PARTICLE_SHAPES[emitter.shape] || PARTICLE_SHAPES.circle;
+
+            emitter.particles.forEach(p => {
+                if (p.absorbed) return;
+
+                emitter.forces.forEach(force => force(p, this));
+                this.applyAttractors(p);
+                if (p.absorbed) return;
+
+                p.x += p.vx * this.motionScale;
+                p.y += p.vy * this.motionScale;
+
+                if (p.x > width + 10) p.x = -10;
+                if (p.x < -10) p.x = width + 10;
+                if (p.y > height + 20 || p.y < -20) this.respawn(emitter, p);
+
+                p.rotation += p.rotationSpeed * this.motionScale;
+
+                const view = this.lensedPosition(p);
+                ctx.save();
+                ctx.translate(view.x, view.y);
+                if (view.stretch > 1) {
+                    // Schiacciata verso il centro, allungata lungo l'anello
+                    ctx.rotate(view.angle);
+                    ctx.scale(1 / Math.sqrt(view.stretch), view.stretch);
+                    ctx.rotate(-view.angle);
+                }
+                ctx.rotate(p.rotation);
+                ctx.beginPath();
+                ctx.fillStyle = `rgba(${emitter.color},${p.alpha})`;
+                drawShape(ctx, p);
+                ctx.fill();
+                ctx.restore();
+            });
+        });
+    }
+
+    start() {
+        window.metalDrops.scheduler.add(this.taskName, () => this.step());
+    }
+
+    stop() {
+        window.metalDrops.scheduler.remove(this.taskName);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+    }
+}
+
+// La neve di tutte le pagine
+function initSnow() {
+    const canvas = document.getElementById('snow-canvas');
+    if (!canvas || (window.metalDrops && window.metalDrops.particles)) return;
+
+    const engine = new ParticleEngine(canvas);
+    engine.addEmitter({
+        shape: 'diamond',
+        forces: [ParticleForces.mouse(), ParticleForces.drag(0.99), ParticleForces.gravity(0.01)]
+    });
+    engine.start();
+
+    window.metalDrops = window.metalDrops || {};
+    window.metalDrops.particles = engine;
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSnow);
+} else {
+    initSnow();
+}
@@ -0,0 +1,82 @@
+/**
+ * Quota countdown
+ * The one widget for the claim allowance, rendered into #timerBox: time left before the quota resets
+ * (or before the next claim once it's used up) and the used/remaining claims from the claim service.
+ * The reset schedule is decided by the server (QUOTA_RESET, see server/quota-schedule.js):
+ * the widget only counts down to quota.resetsAt and asks for a fresh quota when it's reached.
+ * Follows "quota:updated" (claims in other tabs included) and "i18n:change".
+ */
+
+class QuotaCountdown {
+    // onTick: chiamata a ogni secondo dopo il render (es. per aggiornare l'avviso del limite)
+    constructor(container, { onTick = null } = {}) {
+        this.container = container;
+        this.onTick = onTick;
+        this.timer = null;
+        // resetsAt per cui abbiamo già chiesto la quota nuova
+        this.refreshedReset = null;
+
+        this.countdownEl = document.createElement('span');
+        this.countdownEl.className = 'timer-countdown';
+        this.usageEl = document.createElement('span');
+        this.usageEl.className = 'timer-usage';
+        this.container.textContent = '';
+        this.container.append(this.countdownEl, this.usageEl);
+
+        window.addEventListener('quota:updated', () => this.update());
+        window.addEventListener('i18n:change', () => this.render());
+        this.update();
+    }
+
+    // Millisecondi al prossimo reset, null se il server non ne ha uno (reset "rolling" senza claim)
+    getTimeLeft() {
+        if (!claimQuota || !claimQuota.resetsAt) return null;
+        return new Date(claimQuota.resetsAt) - Date.now();
+    }
+
+    // Il timer gira solo quando c'è un reset da aspettare
+    update() {
+        clearInterval(this.timer);
+        this.timer = this.getTimeLeft() === null ? null : setInterval(() => this.tick(), 1000);
+        this.render();
+    }
+
+    tick() {
+        // Reset raggiunto: la nuova quota arriva dal server (una richiesta per reset, poi "quota:updated")
+        if (this.getTimeLeft() <= 0 && this.refreshedReset !== claimQuota.resetsAt) {
+            this.refreshedReset = claimQuota.resetsAt;
+            fetchClaimQuota();
+        }
+        this.render();
+    }
+
+    render() {
+        const quota = claimQuota;
+        let countdown;
+        let usage = '';
+
+        if (!claimQuotaChecked) {
+            countdown = t('modal.checkingQuota');
+        } else if (!quota) {
+            countdown = t('quota.unverified');
+        } else if (quota.isMember === false) {
+            countdown = t('quota.joinServer');
+        } else {
+            const timeLeft = this.getTimeLeft();
+            // Senza reset da aspettare (rolling senza claim nella finestra) non c'è niente da contare
+            if (quota.remaining <= 0 && timeLeft !== null) {
+                countdown = t('quota.nextIn', { time: formatCountdown(timeLeft) });
+            } else if (timeLeft !== null && quota.resetPolicy !== 'rolling') {
+                countdown = t('quota.resetsIn', { time: formatCountdown(timeLeft) });
+            } else {
+                countdown = t('quota.ready');
+            }
+            usage = t(`quota.usage.${quota.resetPolicy || 'utc'}`, { used: quota.used, remaining: quota.remaining });
+        }
+
+        this.countdownEl.textContent = countdown;
+        this.usageEl.textContent = usage;
+        this.usageEl.hidden = !usage;
+        if (this.onTick) this.onTick();
+    }
+}
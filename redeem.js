@@ -0,0 +1,42 @@
+/**
+ * Redeem codes
+ * Codes are validated by the redeem function; a valid code adds bonus claims
+ * to the same quota the claim service hands out (see claim-service.js)
+ */
+
+const REDEEM_API_URL = window.METAL_DROPS_CONFIG.apiBase + '/redeem';
+// Codici di errore del redeem function -> messaggi del catalogo (il suo "message" è solo in inglese)
+const REDEEM_ERROR_KEYS = {
+    invalid: 'redeem.invalid',
+    expired: 'redeem.expired',
+    already_redeemed: 'redeem.alreadyRedeemed',
+    used_up: 'redeem.usedUp'
+};
+
+/**
+ * Redeem a code for the logged-in user.
+ * Resolves to { ok: true, bonus, quota } or { ok: false, message }.
+ */
+async function redeemBoosterCode(code) {
+    code = (code || '').trim();
+    if (!code) return { ok: false, message: t('redeem.empty') };
+
+    if (!getSession()) return { ok: false, message: t('redeem.loggedOut') };
+
+    try {
+        const response = await authFetch(REDEEM_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+
+        if (!response.ok) return { ok: false, message: t(REDEEM_ERROR_KEYS[data.error] || 'redeem.invalid', { code }) };
+
+        setClaimQuota(data.quota, { broadcast: true });
+        return { ok: true, bonus: data.bonus, quota: claimQuota };
+    } catch (error) {
+        console.error('Error redeeming code:', error);
+        return { ok: false, message: t('redeem.unreachable') };
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Safe rendering
+ * Builds DOM from text that comes from outside the code (sheet cells, localStorage, server answers)
+ * without ever going through innerHTML: text becomes text nodes, so markup in it is shown as-is.
+ * Only URLs in an allowlist become links; line breaks are kept by the CSS (white-space: pre-wrap).
+ */
+
+// Un URL termina al primo spazio o carattere che non può farne parte
+const SAFE_RENDER_URL_PATTERN = /https?:\/\/[^\s<>"']+/g;
+
+/**
+ * Create an element: buildElement('div', { className, text, attrs }, [children]).
+ * children are nodes or strings (added as text).
+ */
+function buildElement(tag, { className = '', text = null, attrs = {} } = {}, children = []) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== null) el.textContent = text;
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+
+    children.forEach(child => {
+        el.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return el;
+}
+
+/**
+ * Text as a fragment where only the allowlisted URLs are links (opened in a new tab).
+ * Every other URL stays plain text.
+ */
+function renderLinkedText(text, allowedLinks = []) {
+    const fragment = document.createDocumentFragment();
+    const source = String(text ?? '');
+    let last = 0;
+
+    source.replace(SAFE_RENDER_URL_PATTERN, (match, offset) => {
+        // La punteggiatura finale ("...invite.") non fa parte del link
+        const url = match.replace(/[.,;:!?)]+$/, '');
+        if (!allowedLinks.includes(url)) return match;
+
+        fragment.appendChild(document.createTextNode(source.slice(last, offset)));
+        fragment.appendChild(buildElement('a', {
+            text: url,
+            attrs: { href: url, target: '_blank', rel: 'noopener noreferrer' }
+        }));
+        last = offset + url.length;
+        return match;
+    });
+
+    fragment.appendChild(document.createTextNode(source.slice(last)));
+    return fragment;
+}
+
+// Sostituisce tutto il contenuto di un elemento
+function setChildren(parent, ...children) {
+    while (parent.firstChild) parent.removeChild(parent.firstChild);
+    children.forEach(child => parent.appendChild(child));
+}
@@ -0,0 +1,203 @@
+/**
+ * Admin function
+ * Inventory management for the admin console (admin.html): games and their tag/status,
+ * account entries (add, edit, retire, restore), bulk import in the sheet format, and claim/stock stats.
+ * Only users with an admin role in our Discord server can call it (see requireAdmin in discord-auth.js).
+ */
+
+const store = require('./store');
+const { requireAdmin } = require('./discord-auth');
+const { getGames, findGame, getStock, createEntry, recordStock, GAME_FIELDS } = require('./inventory');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_STATS_DAYS = 90;
+const INVALID_ACCOUNTS_ERROR = 'Every account must be a non-empty string or { text }';
+
+// Solo i campi noti, come stringhe pulite
+function pickGameFields(body) {
+    const fields = {};
+    GAME_FIELDS.forEach(field => {
+        if (body[field] !== undefined && body[field] !== null) fields[field] = String(body[field]).trim();
+    });
+    return fields;
+}
+
+// I testi degli account, come stringhe o entry { text }; null se la lista o un account non è valido
+function cleanAccounts(accounts) {
+    if (accounts === undefined || accounts === null) return [];
+    if (!Array.isArray(accounts)) return null;
+
+    const texts = accounts.map(account => (account && typeof account === 'object' ? account.text : account));
+    if (!texts.every(text => typeof text === 'string' && text.trim())) return null;
+    return texts.map(text => text.trim());
+}
+
+function addAccounts(game, accounts, now) {
+    const existing = new Set(game.accounts.map(entry => entry.text));
+    // Un account già presente (anche ritirato) o ripetuto nella lista non viene duplicato
+    const added = accounts
+        .filter(text => !existing.has(text) && existing.add(text))
+        .map(text => createEntry(text, now));
+    game.accounts.push(...added);
+    return added;
+}
+
+/**
+ * Import games in the published sheet format: [{ name, tag?, status?, ..., accounts: [text | { text }] }].
+ * Unknown games are created, known ones get their new accounts and any non-empty field.
+ * Check the accounts with cleanAccounts first: invalid lists are skipped here.
+ */
+function importGames(list, now = new Date()) {
+    const result = { created: 0, added: 0, skipped: 0 };
+
+    (Array.isArray(list) ? list : []).forEach(item => {
+        const name = String((item && item.name) || '').trim();
+        if (!name) return;
+
+        let game = findGame(name);
+        if (!game) {
+            game = { name, accounts: [] };
+            getGames().push(game);
+            result.created++;
+        }
+        Object.assign(game, pickGameFields(item));
+
+        const accounts = cleanAccounts(item.accounts) || [];
+        const added = addAccounts(game, accounts, now);
+        result.added += added.length;
+        result.skipped += accounts.length - added.length;
+        recordStock(game, now);
+    });
+
+    store.save();
+    return result;
+}
+
+/**
+ * Per game over the last "days" days: claims and rejected attempts (total and claims per day)
+ * and the stock at the end of each day (null for the days before the first snapshot).
+ */
+function getStats(days, now = new Date()) {
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+    start.setTime(start.getTime() - (days - 1) * DAY);
+    const dayKeys = Array.from({ length: days }, (_, index) => new Date(start.getTime() + index * DAY).toISOString().slice(0, 10));
+
+    // Claim e rifiuti contano sullo stesso periodo, come il grafico
+    const since = start.toISOString();
+    const history = store.collection('history', []).filter(entry => entry.timestamp >= since);
+    const stockHistory = store.collection('stockHistory', []);
+
+    const games = getGames().map(game => {
+        const attempts = history.filter(entry => entry.game === game.name);
+        const claimed = attempts.filter(entry => entry.outcome === 'claimed');
+        const rejected = attempts.filter(entry => ['rejected', 'not_member', 'out_of_stock'].includes(entry.outcome));
+        const perDay = dayKeys.map(day => claimed.filter(entry => entry.timestamp.slice(0, 10) === day).length);
+        const snapshots = stockHistory.filter(entry => entry.game === game.name);
+        // L'ultima foto dello stock fatta entro la fine del giorno
+        const stockPerDay = dayKeys.map(day => {
+            const last = snapshots.filter(entry => entry.timestamp.slice(0, 10) <= day).pop();
+            return last ? last.stock : null;
+        });
+
+        return {
+            name: game.name,
+            tag: game.tag || '',
+            status: game.status || '',
+            stock: getStock(game),
+            reserved: game.accounts.filter(entry => entry.reservationId).length,
+            retired: game.accounts.filter(entry => entry.status === 'retired').length,
+            claims: claimed.length,
+            rejected: rejected.length,
+            claimsPerDay: perDay,
+            stockPerDay
+        };
+    });
+
+    return { days: dayKeys, games };
+}
+
+const routes = {
+    'GET /admin/inventory': requireAdmin(() => ({ status: 200, body: { games: getGames() } })),
+
+    'POST /admin/games': requireAdmin(({ body }) => {
+        const name = String((body && body.name) || '').trim();
+        if (!name) return { status: 400, body: { error: 'Missing game name' } };
+        if (findGame(name)) return { status: 409, body: { error: `Game "${name}" already exists` } };
+
+        const accounts = cleanAccounts(body.accounts);
+        if (!accounts) return { status: 400, body: { error: INVALID_ACCOUNTS_ERROR } };
+
+        const now = new Date();
+        const game = Object.assign({ name, accounts: [] }, pickGameFields(body));
+        addAccounts(game, accounts, now);
+        getGames().push(game);
+        recordStock(game, now);
+        store.save();
+        return { status: 201, body: game };
+    }),
+
+    'PATCH /admin/games/:game': requireAdmin(({ params, body }) => {
+        const game = findGame(params.game);
+        if (!game) return { status: 404, body: { error: `Unknown game "${params.game}"` } };
+
+        Object.assign(game, pickGameFields(body || {}));
+        store.save();
+        return { status: 200, body: game };
+    }),
+
+    'POST /admin/games/:game/accounts': requireAdmin(({ params, body }) => {
+        const game = findGame(params.game);
+        if (!game) return { status: 404, body: { error: `Unknown game "${params.game}"` } };
+
+        const accounts = cleanAccounts(body && body.accounts);
+        if (!accounts) return { status: 400, body: { error: INVALID_ACCOUNTS_ERROR } };
+        if (accounts.length === 0) return { status: 400, body: { error: 'No accounts to add' } };
+
+        const now = new Date();
+        const added = addAccounts(game, accounts, now);
+        recordStock(game, now);
+        store.save();
+        return { status: 201, body: { game, added: added.length, skipped: accounts.length - added.length } };
+    }),
+
+    // Modifica il testo o lo stato (retired / active) di un account
+    'PATCH /admin/games/:game/accounts/:id': requireAdmin(({ params, body }) => {
+        const game = findGame(params.game);
+        const entry = game && game.accounts.find(item => item.id === params.id);
+        if (!entry) return { status: 404, body: { error: 'Unknown account' } };
+
+        // Un account già consegnato resta com'è
+        if (entry.status === 'claimed') return { status: 409, body: { error: 'This account was already claimed' } };
+
+        const now = new Date();
+        if (body && typeof body.text === 'string') {
+            const text = body.text.trim();
+            if (!text) return { status: 400, body: { error: 'Account text is empty' } };
+            entry.text = text;
+        }
+        if (body && ['active', 'retired'].includes(body.status) && body.status !== entry.status) {
+            entry.status = body.status;
+            entry.retiredAt = body.status === 'retired' ? now.toISOString() : null;
+            recordStock(game, now);
+        }
+
+        store.save();
+        return { status: 200, body: { game, entry } };
+    }),
+
+    'POST /admin/import': requireAdmin(({ body }) => {
+        if (!body || !Array.isArray(body.games)) return { status: 400, body: { error: 'Missing games' } };
+        // Tutto o niente: un gioco con account non validi ferma l'import prima di toccare l'inventario
+        const invalid = body.games.find(item => item && cleanAccounts(item.accounts) === null);
+        if (invalid) return { status: 400, body: { error: `${INVALID_ACCOUNTS_ERROR} (game "${invalid.name}")` } };
+        return { status: 200, body: importGames(body.games) };
+    }),
+
+    'GET /admin/stats': requireAdmin(({ query }) => {
+        const days = Math.min(Math.max(1, parseInt(query.get('days') || '14', 10) || 14), MAX_STATS_DAYS);
+        return { status: 200, body: getStats(days) };
+    })
+};
+
+module.exports = { routes, importGames, getStats };
@@ -0,0 +1,265 @@
+/**
+ * Claims function
+ * Ledger of every claim by Discord user id and drop, with the quota check.
+ * The allowance resets on the schedule set by QUOTA_RESET (see quota-schedule.js).
+ * Claims use the daily allowance first, then any bonus claims granted by redeem codes.
+ * Only members of our Discord server can claim; booster roles add to the daily allowance.
+ *
+ * A claim is a reservation first: one inventory entry is held for the user for RESERVATION_TTL seconds
+ * and the quota is taken right away. Confirming marks the entry as claimed (and tells the staff webhook);
+ * a released, expired or failed reservation puts the entry back in the pool and refunds the quota.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { appendHistory } = require('./history');
+const { requireSession } = require('./discord-auth');
+const { getResetWindow, isInWindow } = require('./quota-schedule');
+const { findGame, isAvailable, recordStock } = require('./inventory');
+const { notifyStaff, buildClaimMessage } = require('./staff-webhook');
+
+// Claim per finestra di reset (un giorno, 24 ore o una settimana secondo QUOTA_RESET)
+const DAILY_QUOTA = parseInt(process.env.DAILY_QUOTA || '1', 10);
+const RESERVATION_TTL = parseInt(process.env.RESERVATION_TTL || '600', 10); // secondi
+const RESERVATION_SWEEP_INTERVAL = 30 * 1000;
+
+// Il giorno del ledger è in UTC, così tutti hanno la stessa finestra
+function getDay(now) {
+    return now.toISOString().slice(0, 10);
+}
+
+function getQuota(userId, now = new Date()) {
+    const ledger = store.collection('claims', []);
+    const users = store.collection('users', {});
+    const user = users[userId] || {};
+    const userClaims = ledger.filter(claim => claim.userId === userId);
+    // Solo i claim della quota liberano un posto allo scadere (conta per il reset "rolling")
+    const window = getResetWindow(now, userClaims.filter(claim => claim.source !== 'bonus'));
+
+    const claimsInWindow = userClaims.filter(claim => isInWindow(claim, window));
+    const dailyUsed = claimsInWindow.filter(claim => claim.source !== 'bonus').length;
+    const boosterQuota = user.boosterQuota || 0;
+    const bonus = user.bonus || 0;
+
+    return {
+        userId,
+        // Utenti di prima del controllo membership: considerati membri finché non rifanno il login
+        isMember: user.isMember !== false,
+        resetPolicy: window.policy,
+        windowStart: window.start.toISOString(),
+        dailyQuota: DAILY_QUOTA,
+        boosterQuota,
+        bonus,
+        used: claimsInWindow.length,
+        dailyRemaining: Math.max(0, DAILY_QUOTA + boosterQuota - dailyUsed),
+        remaining: Math.max(0, DAILY_QUOTA + boosterQuota - dailyUsed) + bonus,
+        claims: claimsInWindow.map(claim => ({ game: claim.game, source: claim.source, timestamp: claim.timestamp })),
+        // null con il reset "rolling" finché non c'è nessun claim che scade
+        resetsAt: window.end ? window.end.toISOString() : null
+    };
+}
+
+function getReservations() {
+    return store.collection('reservations', []);
+}
+
+// La prenotazione come la vede il browser, con il testo del solo account tenuto per l'utente
+function toClientReservation(reservation, entry) {
+    return {
+        id: reservation.id,
+        game: reservation.game,
+        status: reservation.status,
+        account: entry ? entry.text : null,
+        expiresAt: reservation.expiresAt
+    };
+}
+
+/**
+ * Hold one available entry of the game for the user and take one claim from the quota.
+ * Any other pending reservation of the user is released first (one at a time).
+ * Resolves to { ok: true, reservation, quota } or { ok: false, reason: 'unknown_game' | 'not_member' | 'limit' | 'out_of_stock', quota }.
+ */
+function reserveClaim(userId, game, now = new Date()) {
+    // Un gioco che non esiste non tocca né le prenotazioni né lo storico
+    const inventoryGame = findGame(game);
+    if (!inventoryGame) return { ok: false, reason: 'unknown_game', quota: getQuota(userId, now) };
+
+    getReservations()
+        .filter(reservation => reservation.userId === userId && reservation.status === 'pending')
+        .forEach(reservation => releaseClaim(reservation, 'released', now));
+
+    const quota = getQuota(userId, now);
+    if (!quota.isMember) {
+        appendHistory({ userId, game, outcome: 'not_member', timestamp: now.toISOString() });
+        store.save();
+        return { ok: false, reason: 'not_member', quota };
+    }
+    if (quota.remaining <= 0) {
+        appendHistory({ userId, game, outcome: 'rejected', timestamp: now.toISOString() });
+        store.save();
+        return { ok: false, reason: 'limit', quota };
+    }
+
+    const entry = inventoryGame.accounts.find(isAvailable);
+    if (!entry) {
+        appendHistory({ userId, game, outcome: 'out_of_stock', timestamp: now.toISOString() });
+        store.save();
+        return { ok: false, reason: 'out_of_stock', quota };
+    }
+
+    // Prima la quota giornaliera, poi i claim bonus dei codici
+    const source = quota.dailyRemaining > 0 ? 'daily' : 'bonus';
+    if (source === 'bonus') {
+        const users = store.collection('users', {});
+        users[userId] = Object.assign({}, users[userId], { bonus: quota.bonus - 1 });
+    }
+
+    const reservation = {
+        id: crypto.randomUUID(),
+        userId,
+        game,
+        entryId: entry.id,
+        source,
+        status: 'pending',
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + RESERVATION_TTL * 1000).toISOString()
+    };
+    getReservations().push(reservation);
+    entry.reservationId = reservation.id;
+
+    // Il claim entra subito nel ledger: la quota è presa finché la prenotazione non viene rilasciata
+    store.collection('claims', []).push({
+        userId,
+        game,
+        source,
+        date: getDay(now),
+        timestamp: now.toISOString(),
+        reservationId: reservation.id
+    });
+    recordStock(inventoryGame, now);
+    store.save();
+
+    return { ok: true, reservation: toClientReservation(reservation, entry), quota: getQuota(userId, now) };
+}
+
+/**
+ * End a pending reservation without a claim (outcome: 'released' | 'expired' | 'failed'):
+ * the entry goes back in the pool and the claim is refunded. The caller saves the store.
+ */
+function releaseClaim(reservation, outcome, now = new Date()) {
+    reservation.status = outcome;
+    reservation.endedAt = now.toISOString();
+
+    const inventoryGame = findGame(reservation.game);
+    const entry = inventoryGame && inventoryGame.accounts.find(item => item.id === reservation.entryId);
+    if (entry && entry.reservationId === reservation.id) {
+        entry.reservationId = null;
+        recordStock(inventoryGame, now);
+    }
+
+    const ledger = store.collection('claims', []);
+    const index = ledger.findIndex(claim => claim.reservationId === reservation.id);
+    if (index !== -1) ledger.splice(index, 1);
+
+    // Il claim bonus torna all'utente
+    if (reservation.source === 'bonus') {
+        const users = store.collection('users', {});
+        const user = users[reservation.userId] || {};
+        users[reservation.userId] = Object.assign({}, user, { bonus: (user.bonus || 0) + 1 });
+    }
+
+    appendHistory({ userId: reservation.userId, game: reservation.game, source: reservation.source, outcome, timestamp: now.toISOString() });
+}
+
+/**
+ * Turn the user's pending reservation into a claim.
+ * Resolves to { ok: true, reservation, quota } or { ok: false, reason: 'not_found' | 'expired' | 'released' | 'failed', quota }.
+ * A reservation whose entry was retired in the meantime fails and is refunded.
+ */
+function confirmClaim(userId, reservationId, username, now = new Date()) {
+    expireReservations(now);
+
+    const reservation = getReservations().find(item => item.id === reservationId && item.userId === userId);
+    if (!reservation) return { ok: false, reason: 'not_found', quota: getQuota(userId, now) };
+    if (reservation.status !== 'pending') return { ok: false, reason: reservation.status, quota: getQuota(userId, now) };
+
+    const inventoryGame = findGame(reservation.game);
+    const entry = inventoryGame && inventoryGame.accounts.find(item => item.id === reservation.entryId);
+    if (!entry || entry.status !== 'active' || entry.reservationId !== reservation.id) {
+        releaseClaim(reservation, 'failed', now);
+        store.save();
+        return { ok: false, reason: 'failed', quota: getQuota(userId, now) };
+    }
+
+    entry.status = 'claimed';
+    entry.reservationId = null;
+    entry.claimedBy = userId;
+    entry.claimedAt = now.toISOString();
+    reservation.status = 'confirmed';
+    reservation.endedAt = now.toISOString();
+
+    appendHistory({ userId, game: reservation.game, source: reservation.source, outcome: 'claimed', timestamp: now.toISOString() });
+    store.save();
+
+    notifyStaff(buildClaimMessage({ username, userId, game: reservation.game, source: reservation.source, timestamp: now.toISOString() }));
+    return { ok: true, reservation: toClientReservation(reservation, entry), quota: getQuota(userId, now) };
+}
+
+// Le prenotazioni scadute tornano nel pool (a ogni richiesta e ogni RESERVATION_SWEEP_INTERVAL)
+function expireReservations(now = new Date()) {
+    const expired = getReservations()
+        .filter(reservation => reservation.status === 'pending' && Date.parse(reservation.expiresAt) <= now.getTime());
+
+    expired.forEach(reservation => releaseClaim(reservation, 'expired', now));
+    if (expired.length > 0) store.save();
+}
+
+const routes = {
+    'GET /claims/quota': requireSession(({ session }) => {
+        expireReservations();
+        return { status: 200, body: getQuota(session.userId) };
+    }),
+
+    'POST /claims/reservations': requireSession(({ body, session }) => {
+        if (!body || !body.game) {
+            return { status: 400, body: { error: 'Missing game' } };
+        }
+        expireReservations();
+        const result = reserveClaim(session.userId, String(body.game));
+        if (result.reason === 'unknown_game') {
+            return { status: 404, body: { error: `Unknown game "${body.game}"`, reason: result.reason, quota: result.quota } };
+        }
+        if (result.reason === 'not_member') {
+            return { status: 403, body: { error: 'Not a member of the Discord server', reason: result.reason, quota: result.quota } };
+        }
+        if (result.reason === 'out_of_stock') {
+            return { status: 409, body: { error: 'No account left for this game', reason: result.reason, quota: result.quota } };
+        }
+        if (!result.ok) return { status: 409, body: { error: 'Quota reached', reason: result.reason, quota: result.quota } };
+        return { status: 201, body: result };
+    }),
+
+    'POST /claims/reservations/:id/confirm': requireSession(({ params, session }) => {
+        const result = confirmClaim(session.userId, params.id, session.username);
+        if (result.reason === 'not_found') return { status: 404, body: { error: 'Unknown reservation', reason: result.reason } };
+        if (!result.ok) return { status: 409, body: { error: `Reservation ${result.reason}`, reason: result.reason, quota: result.quota } };
+        return { status: 200, body: result };
+    }),
+
+    // L'utente rinuncia (chiude il modal): account di nuovo disponibile e quota restituita
+    'DELETE /claims/reservations/:id': requireSession(({ params, session }) => {
+        expireReservations();
+        const reservation = getReservations().find(item => item.id === params.id && item.userId === session.userId);
+        if (!reservation) return { status: 404, body: { error: 'Unknown reservation' } };
+
+        if (reservation.status === 'pending') {
+            releaseClaim(reservation, 'released');
+            store.save();
+        }
+        return { status: 200, body: { status: reservation.status, quota: getQuota(session.userId) } };
+    })
+};
+
+setInterval(() => expireReservations(), RESERVATION_SWEEP_INTERVAL).unref();
+
+module.exports = { routes, getQuota, reserveClaim, confirmClaim, expireReservations };
@@ -0,0 +1,159 @@
+/**
+ * Metal Drops local dev server
+ * Serves the static site and mocks the backend functions under /api.
+ * Usage: node server/dev-server.js   (PORT defaults to 8080)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = parseInt(process.env.PORT || '8080', 10);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Ogni modulo espone le sue rotte come 'METODO /percorso', con parametri ':nome' nel percorso
+const routes = compileRoutes(Object.assign({},
+    require('./discord-auth').routes,
+    require('./claims').routes,
+    require('./redeem').routes,
+    require('./inventory').routes,
+    require('./history').routes,
+    require('./admin').routes,
+    require('./staff-webhook').routes
+));
+
+function compileRoutes(table) {
+    return Object.entries(table).map(([key, handler]) => {
+        const [method, pattern] = key.split(' ');
+        const names = [];
+        const source = pattern.replace(/:(\w+)/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        return { method, regex: new RegExp(`^${source}$`), names, handler };
+    });
+}
+
+function matchRoute(method, pathname) {
+    for (const route of routes) {
+        if (route.method !== method) continue;
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+
+        const params = {};
+        route.names.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        return { handler: route.handler, params };
+    }
+    return null;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+    });
+    res.end(status === 204 ? '' : JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve(null);
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    if (req.method === 'OPTIONS') return sendJson(res, 204);
+
+    // Un parametro con un escape malformato (es. %E0%A4%A) fa lanciare decodeURIComponent
+    let route;
+    try {
+        route = matchRoute(req.method, url.pathname.replace(/^\/api/, '').replace(/\/$/, ''));
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Malformed URL encoding' });
+    }
+    if (!route) return sendJson(res, 404, { error: 'Not found' });
+
+    let body;
+    try {
+        body = await readBody(req);
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Invalid JSON body' });
+    }
+
+    try {
+        const result = await route.handler({ params: route.params, query: url.searchParams, body, headers: req.headers });
+        if (result.redirect) {
+            res.writeHead(result.status || 302, { Location: result.redirect });
+            return res.end();
+        }
+        sendJson(res, result.status, result.body);
+    } catch (error) {
+        console.error(`Error in ${req.method} ${url.pathname}:`, error);
+        sendJson(res, 500, { error: 'Internal error' });
+    }
+}
+
+function serveStatic(res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+
+    const filePath = path.join(ROOT, path.normalize(pathname));
+    // Niente file fuori dalla root o del server stesso
+    if (!filePath.startsWith(ROOT) || filePath.startsWith(__dirname)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    const target = url.pathname === '/' ? path.join(ROOT, 'index.html') : filePath;
+    fs.readFile(target, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(target)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname.startsWith('/api/')) return handleApi(req, res, url);
+    serveStatic(res, url);
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Metal Drops dev server running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server };
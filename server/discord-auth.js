@@ -0,0 +1,126 @@
+/**
+ * Mock of the discord-auth function
+ * Exchanges any OAuth code for a fake user derived from the code (so several users can be simulated)
+ * and issues a session token that the other functions check via authenticate().
+ * Guild membership and roles are read at login and saved on the user: the claims function uses them
+ * for the membership check and the booster quota, and requireAdmin() for the admin console.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const MOCK_MEMBERS = require('./members.json');
+
+const SESSION_TTL = parseInt(process.env.SESSION_TTL || String(7 * 24 * 60 * 60), 10); // secondi
+const MOCK_DISCORD_USER = process.env.MOCK_DISCORD_USER || 'tester';
+
+// Claim extra al giorno per ruolo del server Discord (vale il ruolo più alto)
+const ROLE_QUOTAS = { 'Server Booster': 1 };
+
+// Ruoli del server Discord che danno accesso alla console admin (separati da virgola)
+const ADMIN_ROLES = (process.env.ADMIN_ROLES || 'Admin').split(',').map(role => role.trim()).filter(Boolean);
+
+function getSessions() {
+    return store.collection('sessions', {});
+}
+
+/**
+ * Session for the request's "Authorization: Bearer <token>" header, or null if missing/expired
+ */
+function authenticate(headers) {
+    const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+    if (!match) return null;
+
+    const session = getSessions()[match[1]];
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+    return session;
+}
+
+/**
+ * Membership in our Discord server, as the real function reads it from
+ * GET /users/@me/guilds/{guild.id}/member (scope guilds.members.read).
+ * Locally it comes from members.json: unlisted names are plain members, null means "not in the server".
+ */
+function getGuildMember(name) {
+    if (!(name in MOCK_MEMBERS)) return { isMember: true, roles: [] };
+    const member = MOCK_MEMBERS[name];
+    return member ? { isMember: true, roles: member.roles || [] } : { isMember: false, roles: [] };
+}
+
+function getRoleQuota(roles) {
+    return roles.reduce((max, role) => Math.max(max, ROLE_QUOTAS[role] || 0), 0);
+}
+
+function isAdminMember(member) {
+    return member.isMember && member.roles.some(role => ADMIN_ROLES.includes(role));
+}
+
+// Wrapper per le rotte che richiedono un utente loggato
+function requireSession(handler) {
+    return (ctx) => {
+        const session = authenticate(ctx.headers);
+        if (!session) return { status: 401, body: { error: 'Not logged in or session expired' } };
+        return handler(Object.assign({}, ctx, { session }));
+    };
+}
+
+// Come requireSession, ma solo per chi aveva un ruolo admin all'ultimo login
+function requireAdmin(handler) {
+    return requireSession((ctx) => {
+        const user = store.collection('users', {})[ctx.session.userId];
+        if (!user || !user.isAdmin) return { status: 403, body: { error: 'Admins only' } };
+        return handler(ctx);
+    });
+}
+
+const routes = {
+    // Al posto della pagina di autorizzazione di Discord: torna subito al sito con un code finto
+    'GET /discord-auth/authorize': ({ query }) => {
+        const redirectUri = query.get('redirect_uri');
+        if (!redirectUri) return { status: 400, body: { error: 'Missing redirect_uri' } };
+
+        const target = new URL(redirectUri);
+        target.searchParams.set('code', MOCK_DISCORD_USER);
+        if (query.get('state')) target.searchParams.set('state', query.get('state'));
+        return { status: 302, redirect: target.toString() };
+    },
+
+    'GET /discord-auth': ({ query }) => {
+        const code = query.get('code');
+        if (!code) return { status: 400, body: { error: 'Missing code' } };
+
+        const name = code.replace(/[^a-z0-9_]/gi, '').slice(0, 24) || 'tester';
+        const user = {
+            id: 'mock-' + name,
+            username: name,
+            avatar: 'https://cdn.discordapp.com/embed/avatars/0.png'
+        };
+
+        // Membership e ruoli si aggiornano a ogni login
+        const member = getGuildMember(name);
+        const users = store.collection('users', {});
+        users[user.id] = Object.assign({}, users[user.id], {
+            isMember: member.isMember,
+            roles: member.roles,
+            boosterQuota: member.isMember ? getRoleQuota(member.roles) : 0,
+            isAdmin: isAdminMember(member)
+        });
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL * 1000).toISOString();
+        getSessions()[token] = Object.assign({ userId: user.id, expiresAt }, user);
+        store.save();
+
+        return { status: 200, body: Object.assign({ token, expiresAt, member, isAdmin: isAdminMember(member) }, user) };
+    },
+
+    'POST /discord-auth/logout': ({ headers }) => {
+        const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+        if (match) {
+            delete getSessions()[match[1]];
+            store.save();
+        }
+        return { status: 204 };
+    }
+};
+
+module.exports = { routes, authenticate, requireSession, requireAdmin, getGuildMember, getRoleQuota };
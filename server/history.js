@@ -0,0 +1,70 @@
+/**
+ * History function
+ * Append-only log of every claim attempt (timestamp, game, source and outcome) per Discord user
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { requireSession } = require('./discord-auth');
+
+const MAX_PAGE_SIZE = 100;
+
+function appendHistory({ userId, game, source, outcome, timestamp }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        game,
+        source: source || null,
+        outcome,
+        timestamp
+    };
+    store.collection('history', []).push(entry);
+    return entry;
+}
+
+/**
+ * Entries for a user, newest first, filtered by game (substring), source and outcome.
+ * pageSize 0 returns every matching entry (used by the export).
+ */
+function queryHistory(userId, { game, source, outcome, page = 1, pageSize = 20 } = {}) {
+    const gameQuery = (game || '').toLowerCase();
+    const entries = store.collection('history', [])
+        .filter(entry => entry.userId === userId
+            && (!gameQuery || entry.game.toLowerCase().includes(gameQuery))
+            && (!source || entry.source === source)
+            && (!outcome || entry.outcome === outcome))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    if (pageSize === 0) return { entries, total: entries.length, page: 1, pageSize: entries.length };
+
+    const size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+    const start = (Math.max(1, page) - 1) * size;
+    return { entries: entries.slice(start, start + size), total: entries.length, page: Math.max(1, page), pageSize: size };
+}
+
+// Numeri dalla query string: un valore non valido (es. ?page=abc) diventa quello di default
+function readPaging(query) {
+    const page = Math.max(1, Number.parseInt(query.get('page'), 10) || 1);
+    const requestedSize = Number.parseInt(query.get('pageSize'), 10);
+    // 0 resta "tutto" (l'export)
+    const pageSize = requestedSize === 0 ? 0 : Math.min(Math.max(1, requestedSize || 20), MAX_PAGE_SIZE);
+    return { page, pageSize };
+}
+
+const routes = {
+    'GET /history': requireSession(({ query, session }) => {
+        const { page, pageSize } = readPaging(query);
+        return {
+            status: 200,
+            body: queryHistory(session.userId, {
+                game: query.get('game'),
+                source: query.get('source'),
+                outcome: query.get('outcome'),
+                page,
+                pageSize
+            })
+        };
+    })
+};
+
+module.exports = { routes, appendHistory, queryHistory };
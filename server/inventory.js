@@ -0,0 +1,74 @@
+/**
+ * Inventory function
+ * REST backend for RestInventoryProvider, seeded from fixtures/inventory.json.
+ * Every account is stored as an entry { id, text, status: 'active' | 'retired' | 'claimed', addedAt, retiredAt }
+ * so the admin console can edit and retire it (see admin.js). An entry held by a pending claim has a reservationId
+ * (see claims.js). The public routes only give each game's stock, never the accounts themselves.
+ * Every stock change is logged in the stockHistory collection for the admin stats.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const SEED_INVENTORY = require('../fixtures/inventory.json');
+
+// Colonne del gioco modificabili dall'admin (oltre agli account)
+const GAME_FIELDS = ['tag', 'status', 'platform', 'region', 'notes'];
+
+function createEntry(text, now = new Date()) {
+    return { id: crypto.randomUUID(), text: String(text).trim(), status: 'active', addedAt: now.toISOString(), retiredAt: null };
+}
+
+// Al primo avvio l'inventario parte dalla fixture; gli account salvati come stringhe diventano entry
+function getGames() {
+    const games = store.collection('inventory', JSON.parse(JSON.stringify(SEED_INVENTORY.games)));
+    games.forEach(game => {
+        game.accounts = game.accounts.map(account => (typeof account === 'string' ? createEntry(account) : account));
+    });
+
+    // Lo storico dello stock parte con lo stato iniziale di ogni gioco
+    const stockHistory = store.collection('stockHistory', []);
+    if (stockHistory.length === 0 && games.length > 0) {
+        const timestamp = new Date().toISOString();
+        games.forEach(game => stockHistory.push({ game: game.name, stock: getStock(game), timestamp }));
+        store.save();
+    }
+    return games;
+}
+
+function findGame(name) {
+    return getGames().find(game => game.name === name) || null;
+}
+
+// Attivo e non tenuto da una prenotazione
+function isAvailable(entry) {
+    return entry.status === 'active' && !entry.reservationId;
+}
+
+function getStock(game) {
+    return game.accounts.filter(isAvailable).length;
+}
+
+// Il gioco come lo vedono le pagine: le colonne e lo stock, gli account arrivano solo con una prenotazione
+function toPublicGame(game) {
+    const publicGame = Object.assign({}, game, { stock: getStock(game) });
+    delete publicGame.accounts;
+    return publicGame;
+}
+
+// Una riga di storico dello stock a ogni cambiamento (la salva chi chiama store.save())
+function recordStock(game, now = new Date()) {
+    game.updated = now.toISOString().slice(0, 10);
+    store.collection('stockHistory', []).push({ game: game.name, stock: getStock(game), timestamp: now.toISOString() });
+}
+
+const routes = {
+    'GET /inventory': () => ({ status: 200, body: { games: getGames().map(toPublicGame) } }),
+
+    'GET /inventory/:game': ({ params }) => {
+        const game = findGame(params.game);
+        if (!game) return { status: 404, body: { error: `Unknown game "${params.game}"` } };
+        return { status: 200, body: toPublicGame(game) };
+    }
+};
+
+module.exports = { routes, getGames, findGame, isAvailable, getStock, createEntry, recordStock, GAME_FIELDS };
@@ -0,0 +1,99 @@
+/**
+ * Quota reset schedule
+ * Decides which claims count against the allowance and when it resets, following QUOTA_RESET:
+ * - "utc" (default): every day at 00:00 UTC
+ * - "timezone": every day at midnight in QUOTA_RESET_TZ (default: the server's timezone)
+ * - "rolling": a claim counts for 24 hours after it was made
+ * - "weekly": every week at 00:00 UTC of QUOTA_RESET_WEEKDAY (0 = Sunday, default 1 = Monday)
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RESET_POLICIES = ['utc', 'timezone', 'rolling', 'weekly'];
+
+function getResetPolicy() {
+    const policy = (process.env.QUOTA_RESET || 'utc').toLowerCase();
+    if (!RESET_POLICIES.includes(policy)) {
+        console.warn(`Unknown QUOTA_RESET "${policy}", using "utc"`);
+        return 'utc';
+    }
+    return policy;
+}
+
+// Letta una volta all'avvio, come DAILY_QUOTA
+const RESET_POLICY = getResetPolicy();
+
+function getResetTimeZone() {
+    return process.env.QUOTA_RESET_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Millisecondi passati dalla mezzanotte locale di timeZone all'istante "date"
+function getTimeOfDay(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000
+        + date.getUTCMilliseconds();
+}
+
+// Mezzanotte (come istante UTC) del giorno in cui cade "date" nel fuso timeZone
+function getZonedMidnight(date, timeZone) {
+    let midnight = new Date(date.getTime() - getTimeOfDay(date, timeZone));
+
+    // Se l'ora legale è cambiata da mezzanotte a "date" siamo fuori di un'ora: si corregge con l'ora di quell'istante
+    const drift = getTimeOfDay(midnight, timeZone);
+    if (drift !== 0) midnight = new Date(midnight.getTime() - (drift > DAY / 2 ? drift - DAY : drift));
+    return midnight;
+}
+
+/**
+ * The window the allowance covers at "now": { policy, start, end } as Dates.
+ * For "rolling" the window is the last 24 hours and end is when the oldest claim in it stops counting
+ * (null when there's none). userClaims are the user's ledger entries.
+ */
+function getResetWindow(now, userClaims = []) {
+    const policy = RESET_POLICY;
+
+    if (policy === 'timezone') {
+        const timeZone = getResetTimeZone();
+        const start = getZonedMidnight(now, timeZone);
+        // +30h e di nuovo a mezzanotte: giusto anche nei giorni di 23 o 25 ore (ora legale)
+        const end = getZonedMidnight(new Date(start.getTime() + 30 * 60 * 60 * 1000), timeZone);
+        return { policy, timeZone, start, end };
+    }
+
+    if (policy === 'rolling') {
+        const start = new Date(now.getTime() - DAY);
+        const timestamps = userClaims
+            .map(claim => new Date(claim.timestamp).getTime())
+            .filter(time => time >= start.getTime());
+        const end = timestamps.length > 0 ? new Date(Math.min(...timestamps) + DAY) : null;
+        return { policy, start, end };
+    }
+
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (policy === 'weekly') {
+        const weekday = parseInt(process.env.QUOTA_RESET_WEEKDAY || '1', 10);
+        const daysSince = (start.getUTCDay() - weekday + 7) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSince);
+        return { policy, start, end: new Date(start.getTime() + 7 * DAY) };
+    }
+
+    return { policy, start, end: new Date(start.getTime() + DAY) };
+}
+
+// Il claim conta nella finestra attuale
+function isInWindow(claim, window) {
+    const time = new Date(claim.timestamp).getTime();
+    return time >= window.start.getTime() && (window.policy === 'rolling' || time < window.end.getTime());
+}
+
+module.exports = { getResetWindow, isInWindow, RESET_POLICY };
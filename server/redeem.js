@@ -0,0 +1,52 @@
+/**
+ * Redeem function
+ * Validates codes against the code store and grants their bonus claims to the user.
+ * A code can carry a bonus amount, an expiry date, a max-use count and a per-user single-use rule.
+ */
+
+const store = require('./store');
+const { getQuota } = require('./claims');
+const { requireSession } = require('./discord-auth');
+const SEED_CODES = require('./codes.json');
+
+// Al primo avvio la collezione dei codici parte da codes.json
+function getCodes() {
+    return store.collection('codes', JSON.parse(JSON.stringify(SEED_CODES)));
+}
+
+function redeemCode(userId, rawCode, now = new Date()) {
+    const code = rawCode.trim().toUpperCase();
+    const entry = getCodes()[code];
+
+    if (!entry) return { status: 404, body: { error: 'invalid', message: `Code "${code}" is invalid` } };
+
+    const uses = entry.uses || [];
+    if (entry.expiresAt && new Date(entry.expiresAt) <= now) {
+        return { status: 410, body: { error: 'expired', message: `Code "${code}" has expired` } };
+    }
+    if (entry.singleUsePerUser !== false && uses.some(use => use.userId === userId)) {
+        return { status: 409, body: { error: 'already_redeemed', message: `You already redeemed "${code}"` } };
+    }
+    if (entry.maxUses && uses.length >= entry.maxUses) {
+        return { status: 410, body: { error: 'used_up', message: `Code "${code}" has no uses left` } };
+    }
+
+    entry.uses = uses.concat({ userId, timestamp: now.toISOString() });
+    const users = store.collection('users', {});
+    const user = users[userId] || {};
+    users[userId] = Object.assign({}, user, { bonus: (user.bonus || 0) + (entry.bonus || 0) });
+    store.save();
+
+    return { status: 200, body: { ok: true, code, bonus: entry.bonus || 0, quota: getQuota(userId, now) } };
+}
+
+const routes = {
+    'POST /redeem': requireSession(({ body, session }) => {
+        if (!body || !body.code) {
+            return { status: 400, body: { error: 'invalid', message: 'Please enter a code.' } };
+        }
+        return redeemCode(session.userId, String(body.code));
+    })
+};
+
+module.exports = { routes, redeemCode };
@@ -0,0 +1,65 @@
+/**
+ * Staff webhook
+ * Tells the staff channel about confirmed claims through a Discord webhook (STAFF_WEBHOOK_URL).
+ * Without the variable nothing is sent. The dev server also hosts a stand-in for the webhook:
+ * point STAFF_WEBHOOK_URL at http://localhost:8080/api/staff-webhook and read back what it got
+ * with GET /api/staff-webhook.
+ */
+
+const store = require('./store');
+
+const STAFF_WEBHOOK_URL = process.env.STAFF_WEBHOOK_URL || '';
+const STAND_IN_LIMIT = 50; // messaggi tenuti dalla finta webhook
+
+/**
+ * Post a message in Discord's webhook format ({ content, embeds }).
+ * Never throws: a failed notification must not fail the claim, it's only logged.
+ */
+async function notifyStaff(message) {
+    if (!STAFF_WEBHOOK_URL) return false;
+
+    try {
+        const response = await fetch(STAFF_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(message)
+        });
+        if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+        return true;
+    } catch (error) {
+        console.error('Staff webhook failed:', error.message);
+        return false;
+    }
+}
+
+// Messaggio per un claim confermato
+function buildClaimMessage({ username, userId, game, source, timestamp }) {
+    return {
+        content: `${username || userId} claimed an account for **${game}**`,
+        embeds: [{
+            title: game,
+            fields: [
+                { name: 'User', value: `${username || '-'} (${userId})`, inline: true },
+                { name: 'Source', value: source === 'bonus' ? 'Booster code' : 'Daily', inline: true }
+            ],
+            timestamp
+        }]
+    };
+}
+
+const routes = {
+    // Finta webhook di Discord: risponde 204 come quella vera e tiene gli ultimi messaggi
+    'POST /staff-webhook': ({ body }) => {
+        if (!body || (!body.content && !body.embeds)) return { status: 400, body: { error: 'Cannot send an empty message' } };
+
+        const messages = store.collection('staffWebhook', []);
+        messages.push(Object.assign({ receivedAt: new Date().toISOString() }, body));
+        messages.splice(0, Math.max(0, messages.length - STAND_IN_LIMIT));
+        store.save();
+        return { status: 204 };
+    },
+
+    'GET /staff-webhook': () => ({ status: 200, body: { messages: store.collection('staffWebhook', []) } })
+};
+
+module.exports = { routes, notifyStaff, buildClaimMessage };
@@ -0,0 +1,35 @@
+/**
+ * JSON file store for the local dev server
+ * Every collection lives in memory and is written back to server/data/db.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_FILE = process.env.METAL_DROPS_DB || path.join(__dirname, 'data', 'db.json');
+
+let db = null;
+
+function load() {
+    if (db) return db;
+    try {
+        db = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        db = {};
+    }
+    return db;
+}
+
+// Restituisce la collezione richiesta, creandola con il valore iniziale se manca
+function collection(name, initial) {
+    const data = load();
+    if (!(name in data)) data[name] = initial;
+    return data[name];
+}
+
+function save() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    fs.writeFileSync(DATA_FILE, JSON.stringify(load(), null, 2));
+}
+
+module.exports = { collection, save };